@@ -21,4 +21,104 @@ module.exports = {
       throw new Error(error.message);
     }
   },
+
+  async getCache({ homey }) {
+    return homey.app.api.getCacheStats();
+  },
+
+  async getPlan({ homey }) {
+    return homey.app.api.getPlanInfo();
+  },
+
+  async getRateLimit({ homey }) {
+    return homey.app.api.getRateLimitStats();
+  },
+
+  async getTeams({ homey }) {
+    return {
+      teams: homey.app.matchManager.getTrackedTeams(),
+    };
+  },
+
+  async getLiveMatches({ homey }) {
+    const matchManager = homey.app.matchManager;
+    return {
+      matches: matchManager.getLiveMatches().map(cached => matchManager.toMatchSummary(cached)),
+    };
+  },
+
+  async getTodayMatches({ homey }) {
+    const matchManager = homey.app.matchManager;
+    return {
+      matches: matchManager.getTodayMatches().map(cached => matchManager.toMatchSummary(cached)),
+    };
+  },
+
+  async getFixtures({ homey, query }) {
+    try {
+      const matchManager = homey.app.matchManager;
+      const fixtures = await matchManager.getTrackedFixtures(query.teamId || null);
+      return {
+        fixtures: fixtures.map(fixture => matchManager.toFixtureSummary(fixture)),
+      };
+    } catch (error) {
+      homey.error(`[API] Fixtures error: ${error.message}`);
+      throw new Error(error.message);
+    }
+  },
+
+  async getPolling({ homey }) {
+    return homey.app.matchManager.getPollingStatus();
+  },
+
+  async getEvents({ homey, query }) {
+    const limit = Number.parseInt(query.limit, 10);
+    return {
+      events: homey.app.matchManager.eventHistory.getEntries({
+        teamId: query.teamId || null,
+        limit: limit > 0 ? limit : undefined,
+      }),
+    };
+  },
+
+  // The feed itself is served by the calendar server, the Web API can only answer with JSON
+  async getCalendar({ homey }) {
+    try {
+      const { calendarServer } = homey.app;
+      const port = homey.app.getCalendarPort();
+      return {
+        enabled: Boolean(homey.settings.get('calendarEnabled')),
+        port,
+        running: calendarServer.isRunning(),
+        error: calendarServer.error,
+        url: await calendarServer.getUrl(port),
+      };
+    } catch (error) {
+      homey.error(`[API] Calendar error: ${error.message}`);
+      throw new Error(error.message);
+    }
+  },
+
+  async getSimulation({ homey }) {
+    return {
+      ...homey.app.simulator.getStatus(),
+      teams: homey.app.matchManager.getTrackedTeams(),
+    };
+  },
+
+  async postSimulation({ homey, body }) {
+    try {
+      const { teamId, speed, timeline } = body || {};
+      homey.log(`[API] Simulation request for team ${teamId}`);
+      return homey.app.simulator.start({ teamId, speed, timeline });
+    } catch (error) {
+      homey.error(`[API] Simulation error: ${error.message}`);
+      throw new Error(error.message);
+    }
+  },
+
+  async deleteSimulation({ homey }) {
+    homey.app.simulator.stop();
+    return homey.app.simulator.getStatus();
+  },
 };
@@ -3,6 +3,9 @@
 const Homey = require('homey');
 const FootballAPI = require('./lib/FootballAPI');
 const MatchManager = require('./lib/MatchManager');
+const MatchSimulator = require('./lib/MatchSimulator');
+const CalendarServer = require('./lib/CalendarServer');
+const { CALENDAR_PORT } = require('./lib/constants');
 
 class FootballDataApp extends Homey.App {
   async onInit() {
@@ -11,27 +14,61 @@ class FootballDataApp extends Homey.App {
     // Initialize API client
     const apiKey = this.homey.settings.get('apiKey');
     this.api = new FootballAPI(apiKey, this.homey);
+    this.api.setPlan(this.homey.settings.get('plan'));
 
     // Initialize MatchManager (shared by all devices)
     this.matchManager = new MatchManager(this.api, this.homey);
 
+    // Replays scripted matches through the MatchManager for testing flows
+    this.simulator = new MatchSimulator(this.matchManager, this.homey);
+
+    // Calendar apps on the local network can subscribe to the fixtures of tracked teams, when enabled
+    this.calendarServer = new CalendarServer(this.matchManager, this.homey);
+    this.updateCalendarServer();
+
     // Listen for API key changes in settings
     this.homey.settings.on('set', (key) => {
       if (key === 'apiKey') {
         const newApiKey = this.homey.settings.get('apiKey');
         this.log('API key updated');
         this.api.setApiKey(newApiKey);
+      } else if (key === 'plan') {
+        const plan = this.homey.settings.get('plan');
+        this.log(`Plan setting updated: ${plan}`);
+        this.api.setPlan(plan);
+      } else if (key === 'calendarEnabled' || key === 'calendarPort') {
+        this.updateCalendarServer();
       }
     });
 
     this.log('Football Data app initialized');
   }
 
+  /**
+   * Start or stop the calendar feed server to match the settings
+   */
+  updateCalendarServer() {
+    this.calendarServer.stop();
+    if (this.homey.settings.get('calendarEnabled')) {
+      this.calendarServer.start(this.getCalendarPort());
+    }
+  }
+
+  getCalendarPort() {
+    return Number(this.homey.settings.get('calendarPort')) || CALENDAR_PORT;
+  }
+
   async onUninit() {
     // Stop polling when app is unloaded
+    if (this.simulator) {
+      this.simulator.stop();
+    }
     if (this.matchManager) {
       this.matchManager.stopPolling();
     }
+    if (this.calendarServer) {
+      this.calendarServer.stop();
+    }
     this.log('Football Data app stopped');
   }
 }
@@ -0,0 +1,155 @@
+'use strict';
+
+const Homey = require('homey');
+const { EVENTS } = require('../../lib/constants');
+
+class CompetitionDevice extends Homey.Device {
+  async onInit() {
+    this.log('CompetitionDevice initializing:', this.getName());
+
+    this.competitionCode = this.getData().id;
+    this.competitionName = this.getStoreValue('competitionName') || this.getName();
+
+    // Get MatchManager from app
+    this.matchManager = this.homey.app.matchManager;
+
+    if (!this.matchManager) {
+      this.error('MatchManager not available');
+      return;
+    }
+
+    // Register with MatchManager
+    this.matchManager.registerCompetitionDevice(this.competitionCode, this);
+
+    // Set up event listeners
+    this.setupEventListeners();
+
+    // Set initial capabilities
+    await this.setCapabilityValue('live_matches', 0).catch(this.error);
+
+    this.log('CompetitionDevice initialized:', this.competitionName);
+  }
+
+  async onDeleted() {
+    this.log('CompetitionDevice deleted:', this.getName());
+
+    // Unregister from MatchManager
+    if (this.matchManager) {
+      this.matchManager.unregisterCompetitionDevice(this.competitionCode, this);
+    }
+
+    // Remove event listeners
+    this.removeEventListeners();
+  }
+
+  setupEventListeners() {
+    // Create bound event handlers so we can remove them later
+    this.eventHandlers = {
+      [EVENTS.COMPETITION_GOAL]: this.onCompetitionGoal.bind(this),
+      [EVENTS.COMPETITION_MATCH_FINISHED]: this.onCompetitionMatchFinished.bind(this),
+      [EVENTS.COMPETITION_MATCHDAY_FINISHED]: this.onMatchdayFinished.bind(this),
+      [EVENTS.COMPETITION_UPDATED]: this.onCompetitionUpdated.bind(this),
+    };
+
+    for (const [event, handler] of Object.entries(this.eventHandlers)) {
+      this.matchManager.on(event, handler);
+    }
+  }
+
+  removeEventListeners() {
+    if (!this.eventHandlers || !this.matchManager) return;
+
+    for (const [event, handler] of Object.entries(this.eventHandlers)) {
+      this.matchManager.off(event, handler);
+    }
+  }
+
+  /**
+   * Filter events for this device's competition
+   */
+  isMyEvent(data) {
+    return data.competitionCode === this.competitionCode;
+  }
+
+  /**
+   * Format score string
+   */
+  formatScore(home, away) {
+    return `${home}-${away}`;
+  }
+
+  // Event Handlers
+
+  async onCompetitionGoal(data) {
+    if (!this.isMyEvent(data)) return;
+
+    const { match, scoringTeam, newScore } = data;
+    const score = this.formatScore(newScore.home, newScore.away);
+    this.log(`Goal in ${this.competitionName}: ${match.homeTeam.name} vs ${match.awayTeam.name} ${score}`);
+
+    // Trigger flow card
+    const tokens = {
+      home_team: match.homeTeam.shortName || match.homeTeam.name,
+      away_team: match.awayTeam.shortName || match.awayTeam.name,
+      scoring_team: scoringTeam.shortName || scoringTeam.name,
+      score,
+      minute: match.minute || 0,
+    };
+    await this.triggerFlow('competition_goal', tokens);
+  }
+
+  async onCompetitionMatchFinished(data) {
+    if (!this.isMyEvent(data)) return;
+
+    const { match } = data;
+    const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
+    const score = this.formatScore(homeScore, awayScore);
+    this.log(`Match finished in ${this.competitionName}: ${match.homeTeam.name} vs ${match.awayTeam.name} ${score}`);
+
+    // Trigger flow card
+    const tokens = {
+      home_team: match.homeTeam.shortName || match.homeTeam.name,
+      away_team: match.awayTeam.shortName || match.awayTeam.name,
+      final_score: score,
+      home_score: homeScore,
+      away_score: awayScore,
+    };
+    await this.triggerFlow('competition_match_finished', tokens);
+  }
+
+  async onMatchdayFinished(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log(`Matchday ${data.matchday} finished in ${this.competitionName}`);
+
+    // Trigger flow card
+    const tokens = {
+      matchday: data.matchday,
+      matches: data.matches.length,
+    };
+    await this.triggerFlow('competition_matchday_finished', tokens);
+  }
+
+  async onCompetitionUpdated(data) {
+    if (!this.isMyEvent(data)) return;
+
+    // Update capabilities
+    await this.setCapabilityValue('live_matches', data.liveMatches).catch(this.error);
+  }
+
+  /**
+   * Trigger a flow card
+   */
+  async triggerFlow(cardId, tokens, state = {}) {
+    this.log(`Triggering flow card: ${cardId}`, tokens);
+    const card = this.homey.flow.getDeviceTriggerCard(cardId);
+    if (card) {
+      await card.trigger(this, tokens, state).catch(err => {
+        this.error(`Error triggering ${cardId}:`, err.message);
+      });
+    } else {
+      this.error(`Flow card not found: ${cardId}`);
+    }
+  }
+}
+
+module.exports = CompetitionDevice;
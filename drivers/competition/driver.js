@@ -0,0 +1,43 @@
+'use strict';
+
+const Homey = require('homey');
+const { REQUEST_PRIORITY } = require('../../lib/constants');
+
+class CompetitionDriver extends Homey.Driver {
+  async onInit() {
+    this.log('CompetitionDriver initialized');
+  }
+
+  async onPair(session) {
+    this.log('onPair called, setting up handlers...');
+
+    // Check API key upfront
+    const apiKey = this.homey.settings.get('apiKey');
+    if (!apiKey) {
+      this.error('No API key configured');
+    }
+
+    // Get available competitions from API
+    session.setHandler('get_competitions', async () => {
+      this.log('[get_competitions] Loading competitions...');
+
+      if (!apiKey) {
+        throw new Error('Please configure your API key in app settings first');
+      }
+
+      try {
+        const api = this.homey.app.api;
+        const competitions = await api.getCompetitions(REQUEST_PRIORITY.PAIRING);
+        this.log(`[get_competitions] Found ${competitions.length} competitions`);
+        return competitions;
+      } catch (error) {
+        this.error('[get_competitions] Error:', error.message);
+        throw error;
+      }
+    });
+
+    // Device is created directly via Homey.createDevice() in the frontend
+  }
+}
+
+module.exports = CompetitionDriver;
@@ -4,10 +4,28 @@ const Homey = require('homey');
 const {
   MATCH_STATUS,
   LIVE_STATUSES,
+  INTERRUPTED_STATUSES,
+  MATCH_WINNER,
+  GOAL_TYPE,
+  BOOKING_CARD,
   DEVICE_MATCH_STATUS,
+  COUNTDOWN_INTERVAL,
   EVENTS,
 } = require('../../lib/constants');
 
+// Capabilities added after the first release, added to existing devices on init
+const ADDED_CAPABILITIES = [
+  'league_position',
+  'league_points',
+  'goal_difference',
+  'form',
+  'win_streak',
+  'unbeaten_run',
+  'goals_for',
+  'goals_against',
+  'minutes_until_next_match',
+];
+
 class TeamDevice extends Homey.Device {
   async onInit() {
     this.log('TeamDevice initializing:', this.getName());
@@ -15,6 +33,7 @@ class TeamDevice extends Homey.Device {
     this.teamId = this.getData().id;
     this.teamName = this.getStoreValue('teamName') || this.getName();
     this.teamShortName = this.getStoreValue('teamShortName') || this.teamName;
+    this.competitionCode = this.getStoreValue('competitionCode') || null;
     this.log(`Device data: teamId=${this.teamId}, name=${this.teamName}, store=`, this.getStore());
 
     // Get MatchManager and API from app
@@ -26,6 +45,9 @@ class TeamDevice extends Homey.Device {
       return;
     }
 
+    // Add capabilities introduced in later versions
+    await this.migrateCapabilities();
+
     // Register with MatchManager
     this.matchManager.registerDevice(this.teamId, this);
 
@@ -42,9 +64,33 @@ class TeamDevice extends Homey.Device {
     // Fetch and set next match
     this.updateNextMatch();
 
+    // Count down to the next match on our own, polls can be hours apart when nothing is coming up
+    this.countdownInterval = this.homey.setInterval(() => this.updateMinutesUntilNextMatch(), COUNTDOWN_INTERVAL);
+
+    // Fetch league table position
+    this.updateStanding();
+
+    // Load the scorer list, so later changes can be compared against it
+    this.loadScorers();
+
+    // Fetch recent form and streaks
+    this.updateForm();
+
     this.log('TeamDevice initialized:', this.teamName);
   }
 
+  /**
+   * Add capabilities that devices paired with an older version are missing
+   */
+  async migrateCapabilities() {
+    for (const capability of ADDED_CAPABILITIES) {
+      if (!this.hasCapability(capability)) {
+        this.log(`Adding capability: ${capability}`);
+        await this.addCapability(capability).catch(this.error);
+      }
+    }
+  }
+
   /**
    * Check if team has a live match and restore the correct state
    */
@@ -70,8 +116,7 @@ class TeamDevice extends Homey.Device {
         }
 
         // Set score
-        const homeScore = match.score?.fullTime?.home ?? 0;
-        const awayScore = match.score?.fullTime?.away ?? 0;
+        const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
         const score = this.formatScore(homeScore, awayScore);
         await this.setCapabilityValue('score', score).catch(this.error);
 
@@ -94,6 +139,10 @@ class TeamDevice extends Homey.Device {
 
     // Remove event listeners
     this.removeEventListeners();
+
+    if (this.countdownInterval) {
+      this.homey.clearInterval(this.countdownInterval);
+    }
   }
 
   setupEventListeners() {
@@ -101,16 +150,32 @@ class TeamDevice extends Homey.Device {
     this.eventHandlers = {
       [EVENTS.TEAM_SCORED]: this.onTeamScored.bind(this),
       [EVENTS.TEAM_CONCEDED]: this.onTeamConceded.bind(this),
+      [EVENTS.GOAL_DISALLOWED]: this.onGoalDisallowed.bind(this),
+      [EVENTS.RED_CARD]: this.onRedCard.bind(this),
+      [EVENTS.YELLOW_CARD]: this.onYellowCard.bind(this),
+      [EVENTS.SUBSTITUTION]: this.onSubstitution.bind(this),
       [EVENTS.MATCH_KICKOFF]: this.onMatchKickoff.bind(this),
       [EVENTS.HALFTIME_STARTED]: this.onHalftimeStarted.bind(this),
       [EVENTS.SECOND_HALF_STARTED]: this.onSecondHalfStarted.bind(this),
       [EVENTS.EXTRA_TIME_STARTED]: this.onExtraTimeStarted.bind(this),
+      [EVENTS.PENALTY_SHOOTOUT_STARTED]: this.onPenaltyShootoutStarted.bind(this),
+      [EVENTS.PENALTY_SHOOTOUT_FINISHED]: this.onPenaltyShootoutFinished.bind(this),
       [EVENTS.TEAM_WON]: this.onTeamWon.bind(this),
       [EVENTS.TEAM_LOST]: this.onTeamLost.bind(this),
       [EVENTS.TEAM_DREW]: this.onTeamDrew.bind(this),
       [EVENTS.MATCH_STARTS_SOON]: this.onMatchStartsSoon.bind(this),
       [EVENTS.MATCH_FINISHED]: this.onMatchFinished.bind(this),
+      [EVENTS.MATCH_SUSPENDED]: this.onMatchSuspended.bind(this),
+      [EVENTS.MATCH_RESUMED]: this.onMatchResumed.bind(this),
+      [EVENTS.MATCH_POSTPONED]: this.onMatchPostponed.bind(this),
+      [EVENTS.MATCH_CANCELLED]: this.onMatchCancelled.bind(this),
       [EVENTS.MATCH_RESULT_CHANGED]: this.onMatchResultChanged.bind(this),
+      [EVENTS.STANDINGS_UPDATED]: this.onStandingsUpdated.bind(this),
+      [EVENTS.SCORER_GOALS_CHANGED]: this.onScorerGoalsChanged.bind(this),
+      [EVENTS.PLAYER_TOP_SCORER]: this.onPlayerTopScorer.bind(this),
+      [EVENTS.FIXTURES_UPDATED]: this.onFixturesUpdated.bind(this),
+      [EVENTS.KICKOFF_CHANGED]: this.onKickoffChanged.bind(this),
+      [EVENTS.FIXTURE_ADDED]: this.onFixtureAdded.bind(this),
     };
 
     for (const [event, handler] of Object.entries(this.eventHandlers)) {
@@ -152,13 +217,33 @@ class TeamDevice extends Homey.Device {
     return `${home}-${away}`;
   }
 
+  /**
+   * Format a kickoff date and time in Homey's timezone, e.g. "za 21 dec 20:00"
+   */
+  formatKickoff(utcDate) {
+    const matchDate = new Date(utcDate);
+    const timezone = this.homey.clock.getTimezone();
+    const dateStr = matchDate.toLocaleDateString('nl-NL', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      timeZone: timezone,
+    });
+    const timeStr = matchDate.toLocaleTimeString('nl-NL', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: timezone,
+    });
+    return `${dateStr} ${timeStr}`;
+  }
+
   // Event Handlers
 
   async onTeamScored(data) {
     if (!this.isMyEvent(data)) return;
     this.log('Team scored:', data.newScore);
 
-    const { match, newScore } = data;
+    const { match, goal, newScore } = data;
     const { opponent } = this.getOpponentInfo(match);
     const score = this.formatScore(newScore.home, newScore.away);
 
@@ -172,15 +257,16 @@ class TeamDevice extends Homey.Device {
       opponent,
       home_score: newScore.home,
       away_score: newScore.away,
+      ...this.getGoalTokens(goal),
     };
-    await this.triggerFlow('team_scored', tokens);
+    await this.triggerMatchFlow('team_scored', tokens, data.match);
   }
 
   async onTeamConceded(data) {
     if (!this.isMyEvent(data)) return;
     this.log('Team conceded:', data.newScore);
 
-    const { match, scoringTeam, newScore } = data;
+    const { match, goal, scoringTeam, newScore } = data;
     const score = this.formatScore(newScore.home, newScore.away);
 
     // Update capabilities
@@ -193,8 +279,108 @@ class TeamDevice extends Homey.Device {
       scoring_team: scoringTeam.shortName || scoringTeam.name,
       home_score: newScore.home,
       away_score: newScore.away,
+      ...this.getGoalTokens(goal),
+    };
+    await this.triggerMatchFlow('team_conceded', tokens, data.match);
+  }
+
+  /**
+   * Scorer tokens from match detail. Without it the tokens are empty and the polled minute is kept.
+   */
+  getGoalTokens(goal) {
+    if (!goal) {
+      return {
+        scorer: '',
+        assist: '',
+        goal_type: '',
+        injury_time: 0,
+      };
+    }
+
+    const goalTypes = {
+      [GOAL_TYPE.REGULAR]: 'regular',
+      [GOAL_TYPE.PENALTY]: 'penalty',
+      [GOAL_TYPE.OWN]: 'own_goal',
+    };
+
+    return {
+      minute: goal.minute || 0,
+      scorer: goal.scorer?.name || '',
+      assist: goal.assist?.name || '',
+      goal_type: goalTypes[goal.type] || 'regular',
+      injury_time: goal.injuryTime || 0,
+    };
+  }
+
+  async onGoalDisallowed(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log('Goal disallowed:', data.newScore);
+
+    const { match, disallowedTeam, newScore } = data;
+    const { opponent } = this.getOpponentInfo(match);
+    const score = this.formatScore(newScore.home, newScore.away);
+
+    // Correct the score capability
+    await this.setCapabilityValue('score', score).catch(this.error);
+
+    // Trigger flow card
+    const tokens = {
+      team: disallowedTeam.shortName || disallowedTeam.name,
+      own_goal_disallowed: disallowedTeam.id === Number(this.teamId),
+      score,
+      minute: match.minute || 0,
+      opponent,
+      home_score: newScore.home,
+      away_score: newScore.away,
+    };
+    await this.triggerMatchFlow('goal_disallowed', tokens, data.match);
+  }
+
+  async onRedCard(data) {
+    if (!this.isMyEvent(data)) return;
+    const { booking } = data;
+    this.log('Red card:', booking.player?.name, booking.minute);
+
+    // Trigger flow card
+    const tokens = {
+      player: booking.player?.name || '',
+      minute: booking.minute || 0,
+      team: booking.team?.shortName || booking.team?.name || '',
+      our_team: booking.team?.id === Number(this.teamId),
+      second_yellow: booking.card === BOOKING_CARD.YELLOW_RED,
+    };
+    await this.triggerMatchFlow('red_card', tokens, data.match);
+  }
+
+  async onYellowCard(data) {
+    if (!this.isMyEvent(data)) return;
+    const { booking } = data;
+    this.log('Yellow card:', booking.player?.name, booking.minute);
+
+    // Trigger flow card
+    const tokens = {
+      player: booking.player?.name || '',
+      minute: booking.minute || 0,
+      team: booking.team?.shortName || booking.team?.name || '',
+      our_team: booking.team?.id === Number(this.teamId),
+    };
+    await this.triggerMatchFlow('yellow_card', tokens, data.match);
+  }
+
+  async onSubstitution(data) {
+    if (!this.isMyEvent(data)) return;
+    const { substitution } = data;
+    this.log('Substitution:', substitution.playerIn?.name, 'for', substitution.playerOut?.name);
+
+    // Trigger flow card
+    const tokens = {
+      player: substitution.playerIn?.name || '',
+      player_out: substitution.playerOut?.name || '',
+      minute: substitution.minute || 0,
+      team: substitution.team?.shortName || substitution.team?.name || '',
+      our_team: substitution.team?.id === Number(this.teamId),
     };
-    await this.triggerFlow('team_conceded', tokens);
+    await this.triggerMatchFlow('substitution', tokens, data.match);
   }
 
   async onMatchKickoff(data) {
@@ -214,7 +400,7 @@ class TeamDevice extends Homey.Device {
       competition: match.competition?.name || '',
       is_home: isHome,
     };
-    await this.triggerFlow('match_kickoff', tokens);
+    await this.triggerMatchFlow('match_kickoff', tokens, data.match);
   }
 
   async onHalftimeStarted(data) {
@@ -237,7 +423,7 @@ class TeamDevice extends Homey.Device {
       home_score: homeScore,
       away_score: awayScore,
     };
-    await this.triggerFlow('halftime_started', tokens);
+    await this.triggerMatchFlow('halftime_started', tokens, data.match);
   }
 
   async onSecondHalfStarted(data) {
@@ -246,8 +432,7 @@ class TeamDevice extends Homey.Device {
 
     const { match } = data;
     const { opponent } = this.getOpponentInfo(match);
-    const homeScore = match.score?.fullTime?.home ?? 0;
-    const awayScore = match.score?.fullTime?.away ?? 0;
+    const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
     const score = this.formatScore(homeScore, awayScore);
 
     // Update capabilities
@@ -258,7 +443,7 @@ class TeamDevice extends Homey.Device {
       score,
       opponent,
     };
-    await this.triggerFlow('second_half_started', tokens);
+    await this.triggerMatchFlow('second_half_started', tokens, data.match);
   }
 
   async onExtraTimeStarted(data) {
@@ -267,17 +452,61 @@ class TeamDevice extends Homey.Device {
 
     const { match } = data;
     const { opponent } = this.getOpponentInfo(match);
-    const homeScore = match.score?.fullTime?.home ?? 0;
-    const awayScore = match.score?.fullTime?.away ?? 0;
+    const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
+    const score = this.formatScore(homeScore, awayScore);
+
+    // Update capabilities
+    await this.setCapabilityValue('match_status', DEVICE_MATCH_STATUS.LIVE).catch(this.error);
+
+    // Trigger flow card
+    const tokens = {
+      score,
+      opponent,
+      competition: match.competition?.name || '',
+    };
+    await this.triggerMatchFlow('extra_time_started', tokens, data.match);
+  }
+
+  async onPenaltyShootoutStarted(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log('Penalty shootout started');
+
+    const { match } = data;
+    const { opponent } = this.getOpponentInfo(match);
+    const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
     const score = this.formatScore(homeScore, awayScore);
 
+    // Update capabilities
+    await this.setCapabilityValue('match_status', DEVICE_MATCH_STATUS.LIVE).catch(this.error);
+
     // Trigger flow card
     const tokens = {
       score,
       opponent,
       competition: match.competition?.name || '',
     };
-    await this.triggerFlow('extra_time_started', tokens);
+    await this.triggerMatchFlow('penalty_shootout_started', tokens, data.match);
+  }
+
+  async onPenaltyShootoutFinished(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log('Penalty shootout finished:', data.penalties);
+
+    const { match, penalties, winner } = data;
+    const { opponent, isHome } = this.getOpponentInfo(match);
+    const teamPenalties = isHome ? penalties.home : penalties.away;
+    const opponentPenalties = isHome ? penalties.away : penalties.home;
+
+    // Trigger flow card
+    const tokens = {
+      penalty_score: this.formatScore(penalties.home, penalties.away),
+      team_penalties: teamPenalties,
+      opponent_penalties: opponentPenalties,
+      won: winner === (isHome ? MATCH_WINNER.HOME_TEAM : MATCH_WINNER.AWAY_TEAM),
+      opponent,
+      competition: match.competition?.name || '',
+    };
+    await this.triggerMatchFlow('penalty_shootout_finished', tokens, data.match);
   }
 
   async onTeamWon(data) {
@@ -286,8 +515,7 @@ class TeamDevice extends Homey.Device {
 
     const { match } = data;
     const { opponent, isHome } = this.getOpponentInfo(match);
-    const homeScore = match.score?.fullTime?.home ?? 0;
-    const awayScore = match.score?.fullTime?.away ?? 0;
+    const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
     const score = this.formatScore(homeScore, awayScore);
     const teamGoals = isHome ? homeScore : awayScore;
     const opponentGoals = isHome ? awayScore : homeScore;
@@ -300,7 +528,7 @@ class TeamDevice extends Homey.Device {
       team_goals: teamGoals,
       opponent_goals: opponentGoals,
     };
-    await this.triggerFlow('team_won', tokens);
+    await this.triggerMatchFlow('team_won', tokens, data.match);
   }
 
   async onTeamLost(data) {
@@ -309,8 +537,7 @@ class TeamDevice extends Homey.Device {
 
     const { match } = data;
     const { opponent, isHome } = this.getOpponentInfo(match);
-    const homeScore = match.score?.fullTime?.home ?? 0;
-    const awayScore = match.score?.fullTime?.away ?? 0;
+    const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
     const score = this.formatScore(homeScore, awayScore);
     const teamGoals = isHome ? homeScore : awayScore;
     const opponentGoals = isHome ? awayScore : homeScore;
@@ -323,7 +550,7 @@ class TeamDevice extends Homey.Device {
       team_goals: teamGoals,
       opponent_goals: opponentGoals,
     };
-    await this.triggerFlow('team_lost', tokens);
+    await this.triggerMatchFlow('team_lost', tokens, data.match);
   }
 
   async onTeamDrew(data) {
@@ -332,8 +559,7 @@ class TeamDevice extends Homey.Device {
 
     const { match } = data;
     const { opponent } = this.getOpponentInfo(match);
-    const homeScore = match.score?.fullTime?.home ?? 0;
-    const awayScore = match.score?.fullTime?.away ?? 0;
+    const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
     const score = this.formatScore(homeScore, awayScore);
 
     // Trigger flow card
@@ -343,7 +569,7 @@ class TeamDevice extends Homey.Device {
       competition: match.competition?.name || '',
       goals: homeScore,
     };
-    await this.triggerFlow('team_drew', tokens);
+    await this.triggerMatchFlow('team_drew', tokens, data.match);
   }
 
   async onMatchFinished(data) {
@@ -351,8 +577,7 @@ class TeamDevice extends Homey.Device {
     this.log('Match finished');
 
     const { match } = data;
-    const homeScore = match.score?.fullTime?.home ?? 0;
-    const awayScore = match.score?.fullTime?.away ?? 0;
+    const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
     const score = this.formatScore(homeScore, awayScore);
 
     // Update capabilities
@@ -361,6 +586,121 @@ class TeamDevice extends Homey.Device {
 
     // Update next match after a delay
     this.homey.setTimeout(() => this.updateNextMatch(), 60000);
+
+    // Update form and streaks with this result, a simulated match isn't part of the real results
+    if (!match.simulated) {
+      await this.updateForm(match);
+    }
+  }
+
+  async onMatchSuspended(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log('Match suspended');
+
+    const { match } = data;
+    const { opponent } = this.getOpponentInfo(match);
+    const { home: homeScore, away: awayScore } = this.matchManager.getMatchScore(match);
+
+    // Update capabilities
+    await this.setCapabilityValue('match_status', DEVICE_MATCH_STATUS.SUSPENDED).catch(this.error);
+
+    // Trigger flow card
+    const tokens = {
+      score: this.formatScore(homeScore, awayScore),
+      minute: match.minute || 0,
+      opponent,
+      competition: match.competition?.name || '',
+    };
+    await this.triggerMatchFlow('match_suspended', tokens, data.match);
+  }
+
+  async onMatchResumed(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log('Match resumed');
+
+    // Update capabilities
+    await this.setCapabilityValue('match_status', DEVICE_MATCH_STATUS.LIVE).catch(this.error);
+  }
+
+  async onMatchPostponed(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log('Match postponed');
+
+    const { match } = data;
+    const { opponent, isHome } = this.getOpponentInfo(match);
+
+    // Update capabilities
+    await this.setCapabilityValue('match_status', DEVICE_MATCH_STATUS.POSTPONED).catch(this.error);
+
+    // Trigger flow card
+    const tokens = {
+      opponent,
+      competition: match.competition?.name || '',
+      original_kickoff: this.formatKickoff(match.utcDate),
+      is_home: isHome,
+    };
+    await this.triggerMatchFlow('match_postponed', tokens, data.match);
+
+    // The next match is no longer this one
+    this.updateNextMatch();
+  }
+
+  async onMatchCancelled(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log('Match cancelled');
+
+    const { match } = data;
+    const { opponent, isHome } = this.getOpponentInfo(match);
+
+    // Update capabilities
+    await this.setCapabilityValue('match_status', DEVICE_MATCH_STATUS.CANCELLED).catch(this.error);
+
+    // Trigger flow card
+    const tokens = {
+      opponent,
+      competition: match.competition?.name || '',
+      original_kickoff: this.formatKickoff(match.utcDate),
+      is_home: isHome,
+    };
+    await this.triggerMatchFlow('match_cancelled', tokens, data.match);
+
+    // The next match is no longer this one
+    this.updateNextMatch();
+  }
+
+  async onKickoffChanged(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log('Kickoff changed:', data.previousKickoff, '->', data.match.utcDate);
+
+    const { match, previousKickoff } = data;
+    const { opponent, isHome } = this.getOpponentInfo(match);
+
+    // Trigger flow card, next_match follows with the fixtures update
+    const tokens = {
+      opponent,
+      competition: match.competition?.name || '',
+      old_kickoff: this.formatKickoff(previousKickoff),
+      new_kickoff: this.formatKickoff(match.utcDate),
+      is_home: isHome,
+    };
+    await this.triggerMatchFlow('kickoff_changed', tokens, match);
+  }
+
+  async onFixtureAdded(data) {
+    if (!this.isMyEvent(data)) return;
+    this.log('Fixture added:', data.match.utcDate);
+
+    const { match } = data;
+    const { opponent, isHome } = this.getOpponentInfo(match);
+
+    // Trigger flow card
+    const tokens = {
+      opponent,
+      date: this.formatKickoff(match.utcDate),
+      competition: match.competition?.name || '',
+      is_home: isHome,
+    };
+    await this.triggerMatchFlow('fixture_added', tokens, match);
   }
 
   async onMatchStartsSoon(data) {
@@ -393,7 +733,7 @@ class TeamDevice extends Homey.Device {
       is_home: isHome,
     };
     this.log(`Triggering match_starts_soon with tokens:`, tokens);
-    await this.triggerFlow('match_starts_soon', tokens, { minutes: String(minutes) });
+    await this.triggerMatchFlow('match_starts_soon', tokens, match, { minutes: String(minutes) });
   }
 
   async onMatchResultChanged(data) {
@@ -408,7 +748,103 @@ class TeamDevice extends Homey.Device {
       team_goals: data.teamGoals,
       opponent_goals: data.opponentGoals,
     };
-    await this.triggerFlow('match_result_changed', tokens);
+    await this.triggerMatchFlow('match_result_changed', tokens, data.match);
+  }
+
+  async onStandingsUpdated(data) {
+    if (!this.isMyEvent(data)) return;
+    // Only follow the table of the competition the team was paired from
+    if (data.competitionCode !== this.competitionCode) return;
+    this.log('Standings updated:', data.standing);
+
+    await this.applyStanding(data.standing);
+  }
+
+  async onScorerGoalsChanged(data) {
+    if (!this.isMyEvent(data)) return;
+    const { scorer, previousGoals, goals } = data;
+    this.log(`Scorer goals changed: ${scorer.player.name} ${previousGoals} -> ${goals}`);
+
+    // Trigger flow card, the milestone argument is checked in the run listener
+    const tokens = {
+      player: scorer.player.name,
+      goals,
+      competition: data.competitionCode,
+    };
+    await this.triggerFlow('player_goal_milestone', tokens, { previousGoals, goals });
+  }
+
+  async onPlayerTopScorer(data) {
+    if (!this.isMyEvent(data)) return;
+    const { scorer, goals } = data;
+    this.log(`Player top scorer: ${scorer.player.name} (${goals})`);
+
+    // Trigger flow card
+    const tokens = {
+      player: scorer.player.name,
+      goals,
+      competition: data.competitionCode,
+    };
+    await this.triggerFlow('player_top_scorer', tokens);
+  }
+
+  async onFixturesUpdated(data) {
+    if (!data.teamIds.includes(String(this.teamId))) return;
+    this.log('Fixtures updated');
+
+    await this.updateNextMatch();
+  }
+
+  /**
+   * Update the countdown to the next match, 0 once it has kicked off
+   */
+  async updateMinutesUntilNextMatch() {
+    if (!this.nextMatchKickoff) {
+      await this.setCapabilityValue('minutes_until_next_match', null).catch(this.error);
+      return;
+    }
+
+    const minutes = Math.max(Math.round((this.nextMatchKickoff - Date.now()) / 60000), 0);
+    if (this.getCapabilityValue('minutes_until_next_match') === minutes) return;
+    await this.setCapabilityValue('minutes_until_next_match', minutes).catch(this.error);
+  }
+
+  /**
+   * Update league table capabilities and trigger position changes
+   */
+  async applyStanding(standing) {
+    const oldPosition = this.getCapabilityValue('league_position');
+
+    await this.setCapabilityValue('league_position', standing.position).catch(this.error);
+    await this.setCapabilityValue('league_points', standing.points).catch(this.error);
+    await this.setCapabilityValue('goal_difference', standing.goalDifference).catch(this.error);
+    await this.setCapabilityValue('goals_for', standing.goalsFor).catch(this.error);
+    await this.setCapabilityValue('goals_against', standing.goalsAgainst).catch(this.error);
+
+    if (oldPosition && oldPosition !== standing.position) {
+      this.log(`League position changed: ${oldPosition} -> ${standing.position}`);
+      const tokens = {
+        old_position: oldPosition,
+        new_position: standing.position,
+        moved_up: standing.position < oldPosition,
+        points: standing.points,
+      };
+      await this.triggerFlow('league_position_changed', tokens);
+    }
+  }
+
+  /**
+   * Trigger a match flow card, with the state its opponent/competition/venue arguments are checked against
+   */
+  async triggerMatchFlow(cardId, tokens, match, state = {}) {
+    const isHome = match.homeTeam.id === Number(this.teamId);
+    const opponent = isHome ? match.awayTeam : match.homeTeam;
+    await this.triggerFlow(cardId, tokens, {
+      opponentId: opponent.id,
+      competitionCode: match.competition?.code || null,
+      isHome,
+      ...state,
+    });
   }
 
   /**
@@ -442,7 +878,8 @@ class TeamDevice extends Homey.Device {
     const kickoffTime = new Date(matchToday.utcDate || matchToday.kickoffTime);
     const now = new Date();
     const minutesSinceKickoff = (now - kickoffTime) / 1000 / 60;
-    const isLive = cached || (minutesSinceKickoff > 0 && minutesSinceKickoff < 120);
+    const isLive = cached || (!INTERRUPTED_STATUSES.includes(matchToday.status) &&
+      minutesSinceKickoff > 0 && minutesSinceKickoff < 120);
     if (!isLive) return false;
 
     const homeScore = matchToday.homeScore ?? 0;
@@ -463,7 +900,8 @@ class TeamDevice extends Homey.Device {
     const kickoffTime = new Date(matchToday.utcDate || matchToday.kickoffTime);
     const now = new Date();
     const minutesSinceKickoff = (now - kickoffTime) / 1000 / 60;
-    const isLive = cached || (minutesSinceKickoff > 0 && minutesSinceKickoff < 120);
+    const isLive = cached || (!INTERRUPTED_STATUSES.includes(matchToday.status) &&
+      minutesSinceKickoff > 0 && minutesSinceKickoff < 120);
     if (!isLive) return false;
 
     const homeScore = matchToday.homeScore ?? 0;
@@ -484,7 +922,8 @@ class TeamDevice extends Homey.Device {
     const kickoffTime = new Date(matchToday.utcDate || matchToday.kickoffTime);
     const now = new Date();
     const minutesSinceKickoff = (now - kickoffTime) / 1000 / 60;
-    const isLive = cached || (minutesSinceKickoff > 0 && minutesSinceKickoff < 120);
+    const isLive = cached || (!INTERRUPTED_STATUSES.includes(matchToday.status) &&
+      minutesSinceKickoff > 0 && minutesSinceKickoff < 120);
     if (!isLive) return false;
 
     const homeScore = matchToday.homeScore ?? 0;
@@ -493,6 +932,70 @@ class TeamDevice extends Homey.Device {
     return homeScore === awayScore;
   }
 
+  /**
+   * Update the league table capabilities
+   */
+  async updateStanding() {
+    if (!this.competitionCode) {
+      this.log('No competition stored for this device, skipping standings');
+      return;
+    }
+
+    try {
+      const standing = await this.matchManager.getTeamStanding(this.teamId, this.competitionCode);
+      if (standing) {
+        await this.applyStanding(standing);
+      } else {
+        this.log(`Team ${this.teamId} not found in ${this.competitionCode} standings`);
+      }
+    } catch (error) {
+      this.error('Error updating standings:', error.message);
+    }
+  }
+
+  /**
+   * Update form and streak capabilities, and trigger streak changes
+   * @param {Object} [latestMatch] - The match that just finished
+   */
+  async updateForm(latestMatch = null) {
+    try {
+      const form = await this.matchManager.getTeamForm(this.teamId, latestMatch);
+      const oldWinStreak = this.getCapabilityValue('win_streak');
+      const oldUnbeatenRun = this.getCapabilityValue('unbeaten_run');
+
+      await this.setCapabilityValue('form', form.form || '-').catch(this.error);
+      await this.setCapabilityValue('win_streak', form.winStreak).catch(this.error);
+      await this.setCapabilityValue('unbeaten_run', form.unbeatenRun).catch(this.error);
+
+      // Only compare against values we had before, not on the first load
+      if (oldWinStreak !== null && form.winStreak > oldWinStreak) {
+        this.log(`Win streak reached ${form.winStreak}`);
+        await this.triggerFlow('win_streak_reached', { streak: form.winStreak }, { streak: form.winStreak });
+      }
+
+      if (oldUnbeatenRun > 0 && form.unbeatenRun === 0) {
+        this.log(`Unbeaten run of ${oldUnbeatenRun} ended`);
+        const opponent = form.lastMatch ? this.getOpponentInfo(form.lastMatch).opponent : '';
+        await this.triggerFlow('unbeaten_run_ended', { run: oldUnbeatenRun, opponent });
+      }
+    } catch (error) {
+      this.error('Error updating form:', error.message);
+    }
+  }
+
+  /**
+   * Load the scorer list of the team's competition
+   */
+  async loadScorers() {
+    if (!this.competitionCode) return;
+
+    try {
+      await this.matchManager.getCompetitionScorers(this.competitionCode);
+    } catch (error) {
+      this.error('Error loading scorers:', error.message);
+    }
+  }
+
   /**
    * Update the next_match capability
    */
@@ -503,25 +1006,15 @@ class TeamDevice extends Homey.Device {
       this.log(`Next match result:`, nextMatch ? `${nextMatch.homeTeam.name} vs ${nextMatch.awayTeam.name} on ${nextMatch.utcDate}` : 'none');
       if (nextMatch) {
         const { opponent, isHome } = this.getOpponentInfo(nextMatch);
-        const matchDate = new Date(nextMatch.utcDate);
-        const timezone = this.homey.clock.getTimezone();
-        const dateStr = matchDate.toLocaleDateString('nl-NL', {
-          weekday: 'short',
-          day: 'numeric',
-          month: 'short',
-          timeZone: timezone,
-        });
-        const timeStr = matchDate.toLocaleTimeString('nl-NL', {
-          hour: '2-digit',
-          minute: '2-digit',
-          timeZone: timezone,
-        });
         const venue = isHome ? '(T)' : '(U)';
-        const nextMatchStr = `${opponent} ${venue} - ${dateStr} ${timeStr}`;
+        const nextMatchStr = `${opponent} ${venue} - ${this.formatKickoff(nextMatch.utcDate)}`;
         await this.setCapabilityValue('next_match', nextMatchStr).catch(this.error);
       } else {
         await this.setCapabilityValue('next_match', '-').catch(this.error);
       }
+
+      this.nextMatchKickoff = nextMatch ? new Date(nextMatch.utcDate) : null;
+      await this.updateMinutesUntilNextMatch();
     } catch (error) {
       this.error('Error updating next match:', error.message);
     }
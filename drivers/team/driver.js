@@ -1,7 +1,33 @@
 'use strict';
 
 const Homey = require('homey');
-const { DEVICE_MATCH_STATUS } = require('../../lib/constants');
+const { DEVICE_MATCH_STATUS, INTERRUPTED_STATUSES, REQUEST_PRIORITY } = require('../../lib/constants');
+
+// Trigger cards about a match, these have optional opponent, competition and venue arguments
+const MATCH_TRIGGER_CARDS = [
+  'match_kickoff',
+  'match_starts_soon',
+  'halftime_started',
+  'second_half_started',
+  'extra_time_started',
+  'penalty_shootout_started',
+  'penalty_shootout_finished',
+  'team_scored',
+  'team_conceded',
+  'goal_disallowed',
+  'red_card',
+  'yellow_card',
+  'substitution',
+  'match_result_changed',
+  'team_won',
+  'team_lost',
+  'team_drew',
+  'match_suspended',
+  'match_postponed',
+  'match_cancelled',
+  'kickoff_changed',
+  'fixture_added',
+];
 
 class TeamDriver extends Homey.Driver {
   async onInit() {
@@ -32,7 +58,7 @@ class TeamDriver extends Homey.Driver {
 
           // Check for match that should be live (API delayed)
           const matchToday = matchManager.getTeamMatchToday(device.teamId);
-          if (matchToday) {
+          if (matchToday && !INTERRUPTED_STATUSES.includes(matchToday.status)) {
             const kickoffTime = new Date(matchToday.utcDate || matchToday.kickoffTime);
             const now = new Date();
             const minutesSinceKickoff = (now - kickoffTime) / 1000 / 60;
@@ -85,18 +111,102 @@ class TeamDriver extends Homey.Driver {
         return hoursUntil <= args.hours && hoursUntil > 0;
       });
 
-    // match_starts_soon trigger run listener (for minutes filter)
-    this.homey.flow.getDeviceTriggerCard('match_starts_soon')
+    // player_goal_milestone trigger run listener (fires once when the milestone is passed)
+    this.homey.flow.getDeviceTriggerCard('player_goal_milestone')
       .registerRunListener(async (args, state) => {
-        return args.minutes === state.minutes;
+        return state.previousGoals < args.goals && state.goals >= args.goals;
       });
 
+    // win_streak_reached trigger run listener (for count filter)
+    this.homey.flow.getDeviceTriggerCard('win_streak_reached')
+      .registerRunListener(async (args, state) => {
+        return args.count === state.streak;
+      });
+
+    // Match triggers: optional opponent, competition and venue filters
+    for (const cardId of MATCH_TRIGGER_CARDS) {
+      const card = this.homey.flow.getDeviceTriggerCard(cardId);
+
+      card.registerRunListener(async (args, state) => {
+        // match_starts_soon also filters on minutes
+        if (args.minutes && args.minutes !== state.minutes) return false;
+        return this.matchesMatchFilters(args, state);
+      });
+      card.registerArgumentAutocompleteListener('opponent', async (query, args) => {
+        return this.getOpponentAutocomplete(query, args.device);
+      });
+      card.registerArgumentAutocompleteListener('competition', async (query) => {
+        return this.getCompetitionAutocomplete(query);
+      });
+    }
+
     // Action cards
     this.registerActionCards();
 
     this.log('Flow cards registered');
   }
 
+  /**
+   * Check the optional match filter arguments of a trigger against the match it fired for
+   */
+  matchesMatchFilters(args, state) {
+    if (args.opponent && args.opponent.id !== state.opponentId) return false;
+    if (args.competition && args.competition.id !== state.competitionCode) return false;
+    if (args.venue === 'home' && !state.isHome) return false;
+    if (args.venue === 'away' && state.isHome) return false;
+    return true;
+  }
+
+  /**
+   * Opponents for the autocomplete: teams in the device's competition, or a search for longer queries
+   */
+  async getOpponentAutocomplete(query, device) {
+    const api = this.homey.app.api;
+    let teams = [];
+
+    try {
+      if (query && query.length >= 2) {
+        teams = await api.searchTeams(query);
+      } else if (device?.competitionCode) {
+        const response = await api.getCompetitionTeams(device.competitionCode);
+        teams = response.teams;
+      }
+    } catch (error) {
+      this.error('Error loading opponents:', error.message);
+    }
+
+    return teams
+      .filter(team => team.id !== Number(device?.teamId))
+      .map(team => ({
+        id: team.id,
+        name: team.shortName || team.name,
+        description: team.name,
+        image: team.crest,
+      }));
+  }
+
+  /**
+   * Competitions on the active plan for the autocomplete
+   */
+  async getCompetitionAutocomplete(query) {
+    const queryLower = (query || '').toLowerCase();
+
+    try {
+      const competitions = await this.homey.app.api.getCompetitions();
+      return competitions
+        .filter(comp => comp.name.toLowerCase().includes(queryLower) || comp.code.toLowerCase().includes(queryLower))
+        .map(comp => ({
+          id: comp.code,
+          name: comp.name,
+          description: comp.area,
+          image: comp.emblem,
+        }));
+    } catch (error) {
+      this.error('Error loading competitions:', error.message);
+      return [];
+    }
+  }
+
   registerActionCards() {
     // get_next_match action
     this.homey.flow.getActionCard('get_next_match')
@@ -171,6 +281,108 @@ class TeamDriver extends Homey.Driver {
         };
       });
 
+    // get_head_to_head action
+    this.homey.flow.getActionCard('get_head_to_head')
+      .registerRunListener(async (args) => {
+        const device = args.device;
+        const matchManager = this.homey.app.matchManager;
+
+        if (!matchManager) {
+          throw new Error('MatchManager not available');
+        }
+
+        const record = await matchManager.getTeamHeadToHead(device.teamId);
+
+        if (!record) {
+          throw new Error('No upcoming match found');
+        }
+
+        let lastResult = '';
+        if (record.lastMatch) {
+          const { homeTeam, awayTeam } = record.lastMatch;
+          const { home, away } = matchManager.getMatchScore(record.lastMatch);
+          lastResult = `${homeTeam.shortName || homeTeam.name} ${home}-${away} ${awayTeam.shortName || awayTeam.name}`;
+        }
+
+        return {
+          opponent: record.opponent.shortName || record.opponent.name,
+          matches: record.matches,
+          wins: record.wins,
+          draws: record.draws,
+          losses: record.losses,
+          goals_for: record.goalsFor,
+          goals_against: record.goalsAgainst,
+          last_result: lastResult,
+        };
+      });
+
+    // get_top_scorers action
+    this.homey.flow.getActionCard('get_top_scorers')
+      .registerRunListener(async (args) => {
+        const device = args.device;
+        const matchManager = this.homey.app.matchManager;
+
+        if (!matchManager) {
+          throw new Error('MatchManager not available');
+        }
+
+        if (!device.competitionCode) {
+          throw new Error('No competition known for this team');
+        }
+
+        // The list is sorted by goals, best scorer first
+        const scorers = await matchManager.getCompetitionScorers(device.competitionCode);
+        const topScorer = scorers[0];
+        const teamTopScorer = scorers.find(scorer => scorer.team?.id === Number(device.teamId));
+
+        return {
+          top_scorer: topScorer?.player.name || '',
+          top_scorer_team: topScorer ? topScorer.team.shortName || topScorer.team.name : '',
+          top_scorer_goals: topScorer?.goals || 0,
+          team_top_scorer: teamTopScorer?.player.name || '',
+          team_top_scorer_goals: teamTopScorer?.goals || 0,
+        };
+      });
+
+    // get_last_event action
+    this.homey.flow.getActionCard('get_last_event')
+      .registerRunListener(async (args) => {
+        const device = args.device;
+        const matchManager = this.homey.app.matchManager;
+
+        if (!matchManager) {
+          throw new Error('MatchManager not available');
+        }
+
+        const entry = matchManager.eventHistory.getLatest(device.teamId);
+
+        if (!entry) {
+          throw new Error('No events recorded for this team yet');
+        }
+
+        return {
+          event: entry.event,
+          match: entry.match || '',
+          score: entry.score || '',
+          minute: entry.minute || 0,
+          time: device.formatKickoff(entry.at),
+          minutes_ago: Math.max(Math.round((Date.now() - new Date(entry.at)) / 60000), 0),
+        };
+      });
+
+    // simulate_match action
+    this.homey.flow.getActionCard('simulate_match')
+      .registerRunListener(async (args) => {
+        const simulator = this.homey.app.simulator;
+
+        if (!simulator) {
+          throw new Error('Simulator not available');
+        }
+
+        simulator.start({ teamId: args.device.teamId, speed: Number(args.speed) });
+        return true;
+      });
+
     this.log('Action cards registered');
   }
 
@@ -194,7 +406,7 @@ class TeamDriver extends Homey.Driver {
 
       try {
         const api = this.homey.app.api;
-        const competitions = await api.getCompetitions();
+        const competitions = await api.getCompetitions(REQUEST_PRIORITY.PAIRING);
         this.log(`[get_competitions] Found ${competitions.length} competitions`);
         return competitions;
       } catch (error) {
@@ -220,7 +432,7 @@ class TeamDriver extends Homey.Driver {
 
       try {
         const api = this.homey.app.api;
-        const result = await api.getCompetitionTeams(selectedCompetition.code);
+        const result = await api.getCompetitionTeams(selectedCompetition.code, REQUEST_PRIORITY.PAIRING);
         const teams = result.teams.map(team => ({
           id: team.id,
           name: team.name,
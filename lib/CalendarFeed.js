@@ -0,0 +1,119 @@
+'use strict';
+
+const { MATCH_STATUS, COMPLETED_STATUSES, CALENDAR_EVENT_DURATION } = require('./constants');
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Format a date as an iCalendar UTC timestamp (20261019T143000Z)
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line at 75 octets, continuation lines start with a space
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build the VEVENT lines for a fixture
+ * @param {Object} match - Match from the API
+ * @param {Object} team - Tracked team the fixture belongs to ({ id, name })
+ */
+function buildEvent(match, team, now) {
+  const kickoff = new Date(match.utcDate);
+  const isHome = match.homeTeam.id === Number(team.id);
+  const venue = isHome ? 'Home' : 'Away';
+  const homeName = match.homeTeam.shortName || match.homeTeam.name;
+  const awayName = match.awayTeam.shortName || match.awayTeam.name;
+  const competition = match.competition?.name || '';
+  const lastUpdated = match.lastUpdated ? new Date(match.lastUpdated) : now;
+  const fullTime = match.score?.fullTime;
+  // Played matches stay in the feed with their result
+  const result = COMPLETED_STATUSES.includes(match.status) && fullTime && fullTime.home !== null
+    ? ` ${fullTime.home}-${fullTime.away}`
+    : '';
+
+  const description = [
+    competition,
+    match.matchday ? `Matchday ${match.matchday}` : '',
+    `${team.name} plays ${isHome ? 'at home' : 'away'}`,
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:match-${match.id}@football-data.homey`,
+    `DTSTAMP:${formatDateTime(lastUpdated)}`,
+    `LAST-MODIFIED:${formatDateTime(lastUpdated)}`,
+    // Increases whenever the API updates the match, so calendars pick up a new kickoff time
+    `SEQUENCE:${Math.floor(lastUpdated.getTime() / 1000)}`,
+    `DTSTART:${formatDateTime(kickoff)}`,
+    `DTEND:${formatDateTime(new Date(kickoff.getTime() + CALENDAR_EVENT_DURATION))}`,
+    `SUMMARY:${escapeText(`${homeName} - ${awayName}${result}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${[competition, venue].filter(Boolean).map(escapeText).join(',')}`,
+    // SCHEDULED means the date is known but the kickoff time isn't final yet
+    `STATUS:${match.status === MATCH_STATUS.SCHEDULED ? 'TENTATIVE' : 'CONFIRMED'}`,
+    'END:VEVENT',
+  ];
+}
+
+/**
+ * Build an iCalendar document from fixtures
+ * @param {Array<{match: Object, team: Object}>} fixtures - Each fixture with the tracked team it belongs to
+ * @param {string} calendarName - Name shown in calendar apps
+ * @returns {string}
+ */
+function buildCalendar(fixtures, calendarName) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Pendo//Football Data for Homey//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+
+  for (const { match, team } of fixtures) {
+    lines.push(...buildEvent(match, team, now));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  buildCalendar,
+};
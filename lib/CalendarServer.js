@@ -0,0 +1,108 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { CALENDAR_TOKEN_SETTING } = require('./constants');
+const { buildCalendar } = require('./CalendarFeed');
+
+/**
+ * Serves the iCalendar feed of tracked teams' fixtures on the local network.
+ *
+ * The app Web API always answers with JSON, which calendar apps can't subscribe to,
+ * so the feed gets a small HTTP server of its own. It only runs when enabled in the settings,
+ * and only answers requests carrying the secret token of the subscribe URL shown there:
+ * http://<homey-ip>:<port>/calendar.ics?token=<token>, optionally with &teamId= for one team.
+ */
+class CalendarServer {
+  constructor(matchManager, homey) {
+    this.matchManager = matchManager;
+    this.homey = homey;
+    this.server = null;
+    this.port = null;
+    this.error = null;
+  }
+
+  start(port) {
+    this.stop();
+    this.port = port;
+    this.error = null;
+
+    this.server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch(error => {
+        this.homey.error('Calendar request failed:', error.message);
+      });
+    });
+
+    this.server.on('error', error => {
+      this.error = error.message;
+      this.homey.error(`Calendar feed unavailable on port ${port}:`, error.message);
+    });
+
+    this.server.listen(port, () => {
+      this.homey.log(`Calendar feed listening on port ${port}`);
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  isRunning() {
+    return this.server !== null && this.server.listening;
+  }
+
+  /**
+   * Secret part of the subscribe URL, created the first time it's needed
+   */
+  getToken() {
+    let token = this.homey.settings.get(CALENDAR_TOKEN_SETTING);
+    if (!token) {
+      token = crypto.randomBytes(16).toString('hex');
+      this.homey.settings.set(CALENDAR_TOKEN_SETTING, token);
+    }
+    return token;
+  }
+
+  /**
+   * URL calendar apps on the local network can subscribe to
+   */
+  async getUrl(port) {
+    const address = await this.homey.cloud.getLocalAddress();
+    const host = address.split(':')[0];
+    return `http://${host}:${port}/calendar.ics?token=${this.getToken()}`;
+  }
+
+  async handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method !== 'GET' || url.pathname !== '/calendar.ics') {
+      this.send(response, 404, 'text/plain', 'Not found');
+      return;
+    }
+
+    if (url.searchParams.get('token') !== this.getToken()) {
+      this.send(response, 403, 'text/plain', 'Forbidden');
+      return;
+    }
+
+    try {
+      const teamId = url.searchParams.get('teamId');
+      const fixtures = await this.matchManager.getCalendarFixtures(teamId);
+      const name = teamId && fixtures.length > 0 ? `${fixtures[0].team.name} fixtures` : 'Football fixtures';
+      this.send(response, 200, 'text/calendar', buildCalendar(fixtures, name));
+    } catch (error) {
+      this.homey.error('Calendar error:', error.message);
+      this.send(response, 500, 'text/plain', error.message);
+    }
+  }
+
+  send(response, statusCode, contentType, body) {
+    response.writeHead(statusCode, { 'Content-Type': `${contentType}; charset=utf-8` });
+    response.end(body);
+  }
+}
+
+module.exports = CalendarServer;
@@ -0,0 +1,103 @@
+'use strict';
+
+const { EVENT_HISTORY_SETTING, EVENT_HISTORY_LIMIT, EVENT_HISTORY_EVENTS } = require('./constants');
+
+/**
+ * Bounded history of the events MatchManager emitted, newest first.
+ *
+ * Stored in the app settings after every change, so the history survives a restart
+ * and a flow or user can still find out what happened while they weren't looking.
+ */
+class EventHistory {
+  constructor(homey, limit = EVENT_HISTORY_LIMIT) {
+    this.homey = homey;
+    this.limit = limit;
+    this.entries = [];
+
+    this.restore();
+  }
+
+  restore() {
+    const entries = this.homey.settings.get(EVENT_HISTORY_SETTING);
+    if (!Array.isArray(entries)) return;
+
+    // Histories saved by earlier versions also hold simulated and non-match events
+    this.entries = entries
+      .filter(entry => EVENT_HISTORY_EVENTS.includes(entry.event) && !entry.simulated)
+      .slice(0, this.limit);
+    this.homey.log(`Restored ${this.entries.length} events from history`);
+  }
+
+  save() {
+    try {
+      this.homey.settings.set(EVENT_HISTORY_SETTING, this.entries);
+    } catch (error) {
+      this.homey.error('Failed to save event history:', error.message);
+    }
+  }
+
+  /**
+   * Add an emitted event to the history, if it is a match event (EVENT_HISTORY_EVENTS).
+   * Simulated matches are left out, they would push real events out and show up as the latest event.
+   * @param {string} eventName - One of EVENTS
+   * @param {Object} data - Event data as emitted, with teamId or competitionCode
+   */
+  add(eventName, data) {
+    if (!EVENT_HISTORY_EVENTS.includes(eventName) || data.match?.simulated) return;
+
+    this.entries.unshift(this.createEntry(eventName, data));
+    this.entries.length = Math.min(this.entries.length, this.limit);
+    this.save();
+  }
+
+  createEntry(eventName, data) {
+    const { match } = data;
+    const teamId = data.teamId !== undefined ? String(data.teamId) : null;
+    const fullTime = match?.score?.fullTime;
+
+    return {
+      event: eventName,
+      at: new Date().toISOString(),
+      teamId,
+      team: this.getTeamName(match, teamId),
+      competitionCode: data.competitionCode || match?.competition?.code || null,
+      matchId: match?.id || null,
+      match: match ? `${this.getShortName(match.homeTeam)} - ${this.getShortName(match.awayTeam)}` : null,
+      score: fullTime && fullTime.home !== null ? `${fullTime.home}-${fullTime.away}` : null,
+      minute: match?.minute || null,
+    };
+  }
+
+  getTeamName(match, teamId) {
+    if (!match || !teamId) return null;
+    if (String(match.homeTeam.id) === teamId) return this.getShortName(match.homeTeam);
+    if (String(match.awayTeam.id) === teamId) return this.getShortName(match.awayTeam);
+    return null;
+  }
+
+  getShortName(team) {
+    return team.shortName || team.name;
+  }
+
+  /**
+   * Events newest first, optionally only those for one team
+   * @param {Object} [options]
+   * @param {number|string} [options.teamId]
+   * @param {number} [options.limit]
+   */
+  getEntries({ teamId = null, limit = this.limit } = {}) {
+    const entries = teamId !== null
+      ? this.entries.filter(entry => entry.teamId === String(teamId))
+      : this.entries;
+    return entries.slice(0, limit);
+  }
+
+  /**
+   * Most recent event for a team, null if nothing happened yet
+   */
+  getLatest(teamId) {
+    return this.entries.find(entry => entry.teamId === String(teamId)) || null;
+  }
+}
+
+module.exports = EventHistory;
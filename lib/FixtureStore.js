@@ -0,0 +1,170 @@
+'use strict';
+
+const { UPCOMING_STATUSES, CALLED_OFF_STATUSES } = require('./constants');
+
+/**
+ * Upcoming fixtures of all tracked teams and competitions, shared by devices and flow cards.
+ *
+ * MatchManager fills the store from one date-range request and keeps it current with every poll,
+ * so looking up a team's next match never needs a request of its own.
+ */
+class FixtureStore {
+  constructor() {
+    this.matches = new Map(); // matchId -> match from the API
+    this.horizons = new Map(); // teamId -> time (ms) up to which the team's fixtures were loaded
+    this.updatedAt = null;
+  }
+
+  isLoaded() {
+    return this.updatedAt !== null;
+  }
+
+  /**
+   * Replace all fixtures with a freshly loaded list
+   * @param {Array} matches - Upcoming matches, and called off matches so stored fixtures that were called off can be reported
+   * @param {Map<string, number>} horizons - Per tracked team, the time up to which its fixtures were loaded
+   * @returns {Object} Changes compared to the previous list, see createChanges
+   */
+  replace(matches, horizons) {
+    const previous = this.matches;
+    const previousHorizons = this.horizons;
+
+    this.matches = new Map();
+    for (const match of matches) {
+      if (UPCOMING_STATUSES.includes(match.status)) {
+        this.matches.set(match.id, match);
+      }
+    }
+    this.horizons = horizons;
+    this.updatedAt = Date.now();
+
+    const changes = this.createChanges();
+    for (const [matchId, match] of this.matches) {
+      const stored = previous.get(matchId);
+      if (stored) {
+        this.compare(stored, match, changes);
+        continue;
+      }
+
+      this.addTeamIds(changes.teamIds, match);
+
+      // Only new if it kicks off within what we loaded last time, otherwise it just came into range
+      const kickoff = new Date(match.utcDate).getTime();
+      const teamIds = [match.homeTeam.id, match.awayTeam.id]
+        .map(String)
+        .filter(teamId => kickoff < (previousHorizons.get(teamId) || 0));
+      if (teamIds.length > 0) {
+        changes.added.push({ match, teamIds });
+      }
+    }
+
+    for (const [matchId, match] of previous) {
+      if (!this.matches.has(matchId)) {
+        this.addTeamIds(changes.teamIds, match);
+      }
+    }
+
+    // Matches that were never stored as upcoming aren't reported, or every restart would repeat them
+    for (const match of matches) {
+      if (CALLED_OFF_STATUSES.includes(match.status) && previous.has(match.id)) {
+        changes.calledOff.push(match);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Apply polled matches: kicked off or called off matches leave the store, new kickoff times are kept
+   * @returns {Object} Changes, see createChanges
+   */
+  update(matches) {
+    const changes = this.createChanges();
+
+    for (const match of matches) {
+      const stored = this.matches.get(match.id);
+
+      if (!UPCOMING_STATUSES.includes(match.status)) {
+        if (stored) {
+          this.matches.delete(match.id);
+          this.addTeamIds(changes.teamIds, match);
+        }
+        continue;
+      }
+
+      // Polls only cover the coming day, which the last full load already included
+      if (stored) {
+        this.matches.set(match.id, match);
+        this.compare(stored, match, changes);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * @returns {{ teamIds: Set<string>, added: Array<{match, teamIds}>, rescheduled: Array<{match, previousKickoff}>, calledOff: Array }}
+   *   teamIds lists every team whose fixtures changed, added only matches that are really new,
+   *   calledOff stored fixtures that were postponed or cancelled
+   */
+  createChanges() {
+    return {
+      teamIds: new Set(),
+      added: [],
+      rescheduled: [],
+      calledOff: [],
+    };
+  }
+
+  compare(stored, match, changes) {
+    if (stored.utcDate !== match.utcDate) {
+      changes.rescheduled.push({ match, previousKickoff: stored.utcDate });
+    }
+    if (stored.utcDate !== match.utcDate || stored.status !== match.status) {
+      this.addTeamIds(changes.teamIds, match);
+    }
+  }
+
+  addTeamIds(teamIds, match) {
+    teamIds.add(String(match.homeTeam.id));
+    teamIds.add(String(match.awayTeam.id));
+  }
+
+  /**
+   * Upcoming fixtures of a team, soonest first
+   */
+  getTeamFixtures(teamId) {
+    const numericTeamId = Number(teamId);
+    return this.sort(Array.from(this.matches.values())
+      .filter(match => match.homeTeam.id === numericTeamId || match.awayTeam.id === numericTeamId));
+  }
+
+  getTeamNextMatch(teamId) {
+    return this.getTeamFixtures(teamId)[0] || null;
+  }
+
+  /**
+   * Time (ms) up to which a team's fixtures were loaded, 0 if they weren't
+   */
+  getHorizon(teamId) {
+    return this.horizons.get(String(teamId)) || 0;
+  }
+
+  getFixtures() {
+    return Array.from(this.matches.values());
+  }
+
+  /**
+   * Kickoff times (ms) of all stored fixtures, soonest first
+   */
+  getKickoffs() {
+    return this.sort(Array.from(this.matches.values()))
+      .map(match => new Date(match.utcDate).getTime());
+  }
+
+  sort(matches) {
+    return matches.sort((a, b) => new Date(a.utcDate) - new Date(b.utcDate));
+  }
+}
+
+module.exports = FixtureStore;
@@ -2,96 +2,219 @@
 
 const {
   API_BASE_URL,
-  RATE_LIMIT,
-  RATE_LIMIT_BUFFER,
-  FREE_TIER_COMPETITIONS,
+  LIVE_STATUSES,
+  REQUEST_PRIORITY,
+  HEAD2HEAD_LIMIT,
+  SCORERS_LIMIT,
+  PLANS,
+  DEFAULT_PLAN,
+  PLAN_AUTO,
+  COMPETITION_TIERS,
 } = require('./constants');
+const RequestScheduler = require('./RequestScheduler');
+const ResponseCache = require('./ResponseCache');
 
 class FootballAPI {
   constructor(apiKey, homey) {
     this.apiKey = apiKey;
     this.homey = homey;
-    this.requestTimestamps = [];
+    this.scheduler = new RequestScheduler(homey);
+    this.cache = new ResponseCache();
     this.teamCache = null;
     this.teamCacheExpiry = null;
+    this.planSetting = PLAN_AUTO;
+    this.detectedPlan = null;
+    this.plan = PLANS[DEFAULT_PLAN];
   }
 
   setApiKey(apiKey) {
     this.apiKey = apiKey;
+    // A different key can be on a different plan
+    this.detectedPlan = null;
+    this.scheduler.detectedLimit = null;
+    this.applyPlan();
   }
 
   /**
-   * Check if we can make a request without exceeding rate limit
-   * @param {boolean} highPriority - High priority requests can use the buffer
+   * Set the plan from settings: a plan id, or 'auto' to detect it from the quota headers
    */
-  canMakeRequest(highPriority = false) {
-    this.cleanExpiredTimestamps();
-    const limit = highPriority ? RATE_LIMIT : RATE_LIMIT - RATE_LIMIT_BUFFER;
-    return this.requestTimestamps.length < limit;
+  setPlan(planSetting) {
+    this.planSetting = PLANS[planSetting] ? planSetting : PLAN_AUTO;
+    this.applyPlan();
   }
 
   /**
-   * Remove timestamps older than 60 seconds
+   * Get the active plan
    */
-  cleanExpiredTimestamps() {
-    const oneMinuteAgo = Date.now() - 60000;
-    this.requestTimestamps = this.requestTimestamps.filter(ts => ts > oneMinuteAgo);
+  getPlan() {
+    return this.plan;
   }
 
   /**
-   * Make API request with rate limiting
+   * Get plan setting and detection details
    */
-  async request(path, options = {}, highPriority = false) {
-    if (!this.apiKey) {
-      throw new Error('API key not configured');
+  getPlanInfo() {
+    return {
+      setting: this.planSetting,
+      plan: this.plan,
+      detectedPlan: this.detectedPlan,
+      detectedLimit: this.scheduler.detectedLimit,
+    };
+  }
+
+  applyPlan() {
+    const previous = this.plan;
+    this.plan = this.planSetting === PLAN_AUTO
+      ? this.detectedPlan || PLANS[DEFAULT_PLAN]
+      : PLANS[this.planSetting];
+
+    this.scheduler.setLimit(this.plan.rateLimit);
+
+    if (previous.id !== this.plan.id) {
+      this.homey.log(`Using plan: ${this.plan.name} (${this.plan.rateLimit} requests/min)`);
+      // The set of available competitions may have changed
+      this.teamCache = null;
+      this.teamCacheExpiry = null;
     }
+  }
 
-    // Wait for rate limit if needed
-    while (!this.canMakeRequest(highPriority)) {
-      const oldestTimestamp = this.requestTimestamps[0];
-      const waitTime = oldestTimestamp + 60000 - Date.now() + 100;
-      if (waitTime > 0) {
-        this.homey.log(`Rate limit reached, waiting ${waitTime}ms`);
-        await this.sleep(waitTime);
-      }
-      this.cleanExpiredTimestamps();
+  /**
+   * Pick the plan matching the per-minute limit the API reported
+   */
+  updateDetectedPlan() {
+    const limit = this.scheduler.detectedLimit;
+    if (!limit) return;
+
+    const candidates = Object.values(PLANS).filter(plan => plan.rateLimit <= limit);
+    const detected = candidates.length > 0
+      ? candidates.reduce((best, plan) => (plan.rateLimit > best.rateLimit ? plan : best))
+      : PLANS[DEFAULT_PLAN];
+
+    if (detected !== this.detectedPlan) {
+      this.homey.log(`Detected plan ${detected.name} from limit of ${limit} requests/min`);
+      this.detectedPlan = detected;
+      this.applyPlan();
     }
+  }
 
-    // Record this request
-    this.requestTimestamps.push(Date.now());
+  /**
+   * Make API request through the response cache and the rate limited scheduler
+   * @param {number} priority - One of REQUEST_PRIORITY
+   */
+  async request(path, options = {}, priority = REQUEST_PRIORITY.DEFAULT) {
+    if (!this.apiKey) {
+      throw new Error('API key not configured');
+    }
 
     const url = `${API_BASE_URL}${path}`;
-    this.homey.log(`API Request: ${url}`);
+    const method = options.method || 'GET';
+    const key = `${method} ${path}`;
+
+    // Serve fresh responses from cache, revalidate expired ones
+    const ttl = method === 'GET' ? this.cache.getTtl(path) : 0;
+    const cached = ttl ? this.cache.get(path) : null;
+    if (cached && this.cache.isFresh(cached)) {
+      this.cache.recordHit();
+      return cached.data;
+    }
+    const validators = this.cache.getValidators(cached);
 
     try {
-      const response = await fetch(url, {
-        headers: {
-          'X-Auth-Token': this.apiKey,
-          'Content-Type': 'application/json',
-        },
-        ...options,
-      });
-
-      if (!response.ok) {
-        const errorBody = await response.text();
-        if (response.status === 429) {
+      let result;
+      try {
+        result = await this.scheduler.schedule(key, priority, () => this.fetchUrl(url, options, validators));
+
+        // Merged into a conditional request of a caller that still had the entry, which was invalidated since:
+        // there is nothing to revalidate, so ask again without validators
+        if (result.status === 304 && !cached) {
+          this.homey.log(`No cached ${path} left to revalidate, requesting it again`);
+          result = await this.scheduler.schedule(key, priority, () => this.fetchUrl(url, options));
+        }
+        this.updateDetectedPlan();
+      } catch (error) {
+        // Network failure: fall back to what we had
+        if (cached) {
+          this.homey.log(`API unreachable (${error.message}), serving stale ${path}`);
+          this.cache.recordStale();
+          return cached.data;
+        }
+        throw error;
+      }
+
+      if (result.status === 304 && cached) {
+        this.cache.refresh(path, result.headers, ttl);
+        this.cache.recordRevalidated();
+        return cached.data;
+      }
+
+      if (!result.ok && cached && (result.status >= 500 || result.status === 429)) {
+        this.homey.log(`API error ${result.status}, serving stale ${path}`);
+        this.cache.recordStale();
+        return cached.data;
+      }
+
+      if (!result.ok) {
+        if (result.status === 429) {
           throw new Error('Rate limit exceeded');
         }
-        if (response.status === 403) {
+        if (result.status === 403) {
           throw new Error('Invalid API key or access denied');
         }
-        throw new Error(`API error ${response.status}: ${errorBody}`);
+        throw new Error(`API error ${result.status}: ${result.body}`);
       }
 
-      return await response.json();
+      if (ttl) {
+        this.cache.set(path, result.data, result.headers, ttl);
+        this.cache.recordMiss();
+      }
+
+      return result.data;
     } catch (error) {
       this.homey.error(`API Error: ${error.message}`);
       throw error;
     }
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  /**
+   * Perform the HTTP request and read the body, so the result can be shared by merged requests
+   * @param {Object} extraHeaders - e.g. conditional request headers
+   */
+  async fetchUrl(url, options, extraHeaders = {}) {
+    this.homey.log(`API Request: ${url}`);
+
+    const response = await fetch(url, {
+      headers: {
+        'X-Auth-Token': this.apiKey,
+        'Content-Type': 'application/json',
+        ...extraHeaders,
+      },
+      ...options,
+    });
+
+    const result = {
+      ok: response.ok,
+      status: response.status,
+      headers: response.headers,
+    };
+
+    if (response.ok) {
+      result.data = await response.json();
+    } else {
+      result.body = await response.text();
+    }
+
+    return result;
+  }
+
+  /**
+   * Response cache hit/miss statistics
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  getRateLimitStats() {
+    return this.scheduler.getStats();
   }
 
   /**
@@ -106,17 +229,19 @@ class FootballAPI {
   }
 
   /**
-   * Get all available competitions
+   * Get all competitions available on the active plan
    */
-  async getCompetitions() {
-    const response = await this.request('/competitions');
-    const competitions = (response.competitions || []).map(comp => ({
-      id: comp.id,
-      code: comp.code,
-      name: comp.name,
-      area: comp.area?.name || '',
-      emblem: comp.emblem,
-    }));
+  async getCompetitions(priority = REQUEST_PRIORITY.DEFAULT) {
+    const response = await this.request('/competitions', {}, priority);
+    const competitions = (response.competitions || [])
+      .filter(comp => (COMPETITION_TIERS[comp.plan] || 1) <= this.plan.tier)
+      .map(comp => ({
+        id: comp.id,
+        code: comp.code,
+        name: comp.name,
+        area: comp.area?.name || '',
+        emblem: comp.emblem,
+      }));
 
     // Sort by name
     competitions.sort((a, b) => a.name.localeCompare(b.name));
@@ -126,7 +251,7 @@ class FootballAPI {
 
   /**
    * Get matches with optional filters
-   * @param {Object} filters - { date, status, competitions }
+   * @param {Object} filters - { date, status, competitions, dateFrom, dateTo, priority }
    */
   async getMatches(filters = {}) {
     const params = new URLSearchParams();
@@ -138,18 +263,10 @@ class FootballAPI {
 
     const query = params.toString();
     const path = `/matches${query ? `?${query}` : ''}`;
-    const response = await this.request(path, {}, filters.highPriority);
+    const response = await this.request(path, {}, filters.priority);
     return response.matches || [];
   }
 
-  /**
-   * Get matches for today (commonly used for live updates)
-   */
-  async getTodayMatches(highPriority = false) {
-    const today = new Date().toISOString().split('T')[0];
-    return this.getMatches({ date: today, highPriority });
-  }
-
   /**
    * Get matches for a specific team
    */
@@ -167,15 +284,53 @@ class FootballAPI {
   }
 
   /**
-   * Get live matches for a specific team (IN_PLAY or PAUSED)
+   * Get live matches for a specific team (IN_PLAY, PAUSED, extra time or penalties)
    */
   async getTeamLiveMatches(teamId) {
     return this.getTeamMatches(teamId, {
-      status: 'IN_PLAY,PAUSED',
+      status: LIVE_STATUSES.join(','),
       limit: 1,
     });
   }
 
+  /**
+   * Drop cached matches of a team, e.g. after one of them finished
+   */
+  invalidateTeamMatches(teamId) {
+    this.cache.invalidate(`/teams/${teamId}/matches`);
+  }
+
+  /**
+   * Get matches for a competition (cached, see invalidateCompetitionMatches)
+   * @param {Object} filters - { matchday, status, dateFrom, dateTo }
+   */
+  async getCompetitionMatches(competitionCode, filters = {}) {
+    const params = new URLSearchParams();
+    if (filters.matchday) params.append('matchday', filters.matchday);
+    if (filters.status) params.append('status', filters.status);
+    if (filters.dateFrom) params.append('dateFrom', filters.dateFrom);
+    if (filters.dateTo) params.append('dateTo', filters.dateTo);
+
+    const query = params.toString();
+    const path = `/competitions/${competitionCode}/matches${query ? `?${query}` : ''}`;
+    const response = await this.request(path);
+    return response.matches || [];
+  }
+
+  /**
+   * Drop cached matches of a competition so the next call sees the latest statuses
+   */
+  invalidateCompetitionMatches(competitionCode) {
+    this.cache.invalidate(`/competitions/${competitionCode}/matches`);
+  }
+
+  /**
+   * Get match details, including goals on plans that have match detail
+   */
+  async getMatch(matchId, priority = REQUEST_PRIORITY.DEFAULT) {
+    return this.request(`/matches/${matchId}`, {}, priority);
+  }
+
   /**
    * Get team details
    */
@@ -187,8 +342,8 @@ class FootballAPI {
   /**
    * Get teams for a competition
    */
-  async getCompetitionTeams(competitionCode) {
-    const response = await this.request(`/competitions/${competitionCode}/teams`);
+  async getCompetitionTeams(competitionCode, priority = REQUEST_PRIORITY.DEFAULT) {
+    const response = await this.request(`/competitions/${competitionCode}/teams`, {}, priority);
     return {
       competition: response.competition,
       teams: response.teams || [],
@@ -196,7 +351,49 @@ class FootballAPI {
   }
 
   /**
-   * Load and cache teams from all free tier competitions
+   * Get standings for a competition (cached, see invalidateStandings)
+   */
+  async getStandings(competitionCode) {
+    const response = await this.request(`/competitions/${competitionCode}/standings`);
+    return response.standings || [];
+  }
+
+  /**
+   * Get a competition's scorer list, best scorer first (cached, see invalidateScorers)
+   */
+  async getScorers(competitionCode, limit = SCORERS_LIMIT) {
+    const response = await this.request(`/competitions/${competitionCode}/scorers?limit=${limit}`);
+    return response.scorers || [];
+  }
+
+  /**
+   * Drop cached scorers so the next call fetches a fresh list
+   */
+  invalidateScorers(competitionCode) {
+    this.cache.invalidate(`/competitions/${competitionCode}/scorers`);
+  }
+
+  /**
+   * Get previous meetings between the two teams of a match
+   * @returns {Promise<{aggregates: Object|null, matches: Array}>}
+   */
+  async getHead2Head(matchId, limit = HEAD2HEAD_LIMIT) {
+    const response = await this.request(`/matches/${matchId}/head2head?limit=${limit}`);
+    return {
+      aggregates: response.aggregates || null,
+      matches: response.matches || [],
+    };
+  }
+
+  /**
+   * Drop cached standings so the next call fetches a fresh table
+   */
+  invalidateStandings(competitionCode) {
+    this.cache.invalidate(`/competitions/${competitionCode}/standings`);
+  }
+
+  /**
+   * Load and cache teams from all competitions on the active plan
    */
   async loadTeamCache() {
     // Check if cache is still valid (24 hours)
@@ -222,15 +419,17 @@ class FootballAPI {
     this.homey.log('Loading team cache from all competitions...');
     this.teamCache = {};
 
-    for (const competition of FREE_TIER_COMPETITIONS) {
-      try {
-        // Add delay between requests to respect rate limit (10 req/min = 6 sec between)
-        if (Object.keys(this.teamCache).length > 0) {
-          this.homey.log('Waiting 7 seconds before next API call...');
-          await this.sleep(7000);
-        }
+    let competitions = [];
+    try {
+      competitions = await this.getCompetitions(REQUEST_PRIORITY.BACKGROUND);
+    } catch (error) {
+      this.homey.error(`Failed to load competitions: ${error.message}`);
+    }
 
-        const response = await this.getCompetitionTeams(competition.code);
+    for (const competition of competitions) {
+      try {
+        // Background priority: the scheduler lets live polls and pairing go first
+        const response = await this.getCompetitionTeams(competition.code, REQUEST_PRIORITY.BACKGROUND);
         for (const team of response.teams) {
           this.teamCache[team.id] = {
             id: team.id,
@@ -6,11 +6,37 @@ const {
   LIVE_STATUSES,
   UPCOMING_STATUSES,
   COMPLETED_STATUSES,
+  INTERRUPTED_STATUSES,
+  CALLED_OFF_STATUSES,
+  MATCH_DURATION,
+  MATCH_WINNER,
+  BOOKING_CARD,
   POLLING_INTERVALS,
   POLLING_STATE,
+  PRE_MATCH_WINDOW,
+  IDLE_MAX_SLEEP,
+  FIXTURE_REFRESH_INTERVAL,
+  FIXTURE_STORE_DAYS,
+  TEAM_FIXTURES_REFRESH_INTERVAL,
+  KICKOFF_WAKE_MARGIN,
+  HALFTIME_WAKE,
+  REQUEST_PRIORITY,
   MATCH_SOON_THRESHOLDS,
+  STANDINGS_REFRESH_DELAY,
+  SCORERS_LIMIT,
+  FORM_LENGTH,
+  FORM_LOOKBACK,
+  MATCH_STATE_SETTING,
+  MATCH_STATE_MAX_AGE,
+  MATCHDAY_STATE_MAX_AGE,
+  MATCH_WINDOW_LOOKBACK,
+  CALENDAR_PAST_DAYS,
+  CALENDAR_RECENT_TTL,
   EVENTS,
 } = require('./constants');
+const { getLocalDateString, getUtcDateString, getLocalDayBounds } = require('./dateUtils');
+const EventHistory = require('./EventHistory');
+const FixtureStore = require('./FixtureStore');
 
 class MatchManager extends EventEmitter {
   constructor(api, homey) {
@@ -21,15 +47,108 @@ class MatchManager extends EventEmitter {
     // Map of teamId -> Set of device instances
     this.trackedTeams = new Map();
 
+    // Map of competitionCode -> Set of competition device instances
+    this.trackedCompetitions = new Map();
+
     // Cache of match states: matchId -> { status, homeScore, awayScore, events }
     this.matchCache = new Map();
 
     // Current polling state
     this.pollingState = POLLING_STATE.IDLE;
     this.pollTimer = null;
+    this.standingsTimer = null;
+    this.standingsRefreshTimers = new Map(); // competitionCode -> timer of the refresh after a final whistle
+    this.lastPollAt = null;
+    this.nextPollAt = null;
+    this.lastMatchPollAt = null; // last poll that actually fetched matches
+
+    // Upcoming fixtures of tracked teams and competitions, reloaded every few hours
+    this.fixtureStore = new FixtureStore();
+    this.fixturesRefreshedAt = null;
+    this.fixturesLoadingPromise = null;
+    this.teamFixturesLoads = new Map(); // teamId -> { loadedAt, horizon } of the team's last long-range load
+
+    // Matches of the last days for the calendar feed: { loadedAt, matches }
+    this.recentMatches = null;
 
     // Track which "match starts soon" thresholds have been triggered per match
     this.matchStartsSoonTriggered = new Map(); // matchId -> Set of minutes
+
+    // Track which matchdays have been reported as finished: "PL:2404:17" (code, season, matchday) -> timestamp
+    this.matchdayFinishedTriggered = new Map();
+
+    // Last known scorer list per competition: code -> { goals: Map(playerId -> goals), leaders: Set, complete }
+    this.scorerSnapshots = new Map();
+
+    // Every emitted event, kept across restarts
+    this.eventHistory = new EventHistory(homey);
+
+    // Last state written to settings, to skip writes when nothing changed
+    this.savedState = null;
+
+    // Pick up where we left off before a restart
+    this.restoreState();
+  }
+
+  /**
+   * Restore match cache and triggered flags saved by a previous run
+   */
+  restoreState() {
+    const state = this.homey.settings.get(MATCH_STATE_SETTING);
+    if (!state) return;
+
+    try {
+      const minKickoff = Date.now() - MATCH_STATE_MAX_AGE;
+
+      for (const cached of state.matches || []) {
+        if (new Date(cached.utcDate).getTime() < minKickoff) continue;
+        this.matchCache.set(cached.id, cached);
+      }
+
+      for (const [matchId, thresholds] of state.matchStartsSoonTriggered || []) {
+        if (this.matchCache.has(matchId)) {
+          this.matchStartsSoonTriggered.set(matchId, new Set(thresholds));
+        }
+      }
+
+      // Older saves stored keys without season and timestamp, those are dropped
+      const minTriggeredAt = Date.now() - MATCHDAY_STATE_MAX_AGE;
+      for (const entry of state.matchdayFinishedTriggered || []) {
+        if (Array.isArray(entry) && entry[1] >= minTriggeredAt) {
+          this.matchdayFinishedTriggered.set(entry[0], entry[1]);
+        }
+      }
+
+      this.homey.log(`Restored state for ${this.matchCache.size} matches (saved ${state.savedAt})`);
+    } catch (error) {
+      this.homey.error('Failed to restore match state:', error.message);
+      this.matchCache.clear();
+      this.matchStartsSoonTriggered.clear();
+    }
+  }
+
+  /**
+   * Save match cache and triggered flags so a restart doesn't re-fire or miss events,
+   * only when they changed since the last save
+   */
+  saveState() {
+    const state = {
+      // Simulated matches only live as long as the simulation
+      matches: Array.from(this.matchCache.values()).filter(cached => !cached.simulated),
+      matchStartsSoonTriggered: Array.from(this.matchStartsSoonTriggered,
+        ([matchId, thresholds]) => [matchId, Array.from(thresholds)]),
+      matchdayFinishedTriggered: Array.from(this.matchdayFinishedTriggered),
+    };
+
+    const serialized = JSON.stringify(state);
+    if (serialized === this.savedState) return;
+
+    try {
+      this.homey.settings.set(MATCH_STATE_SETTING, { savedAt: new Date().toISOString(), ...state });
+      this.savedState = serialized;
+    } catch (error) {
+      this.homey.error('Failed to save match state:', error.message);
+    }
   }
 
   /**
@@ -38,12 +157,13 @@ class MatchManager extends EventEmitter {
   registerDevice(teamId, device) {
     if (!this.trackedTeams.has(teamId)) {
       this.trackedTeams.set(teamId, new Set());
+      this.onTrackingChanged();
     }
     this.trackedTeams.get(teamId).add(device);
     this.homey.log(`Registered device for team ${teamId}, now tracking ${this.trackedTeams.size} teams`);
 
     // Start polling if this is the first device
-    if (this.trackedTeams.size === 1 && !this.pollTimer) {
+    if (this.getTrackedCount() === 1 && !this.pollTimer) {
       this.startPolling();
     }
   }
@@ -62,7 +182,43 @@ class MatchManager extends EventEmitter {
     this.homey.log(`Unregistered device for team ${teamId}, now tracking ${this.trackedTeams.size} teams`);
 
     // Stop polling if no more devices
-    if (this.trackedTeams.size === 0) {
+    if (this.getTrackedCount() === 0) {
+      this.stopPolling();
+    }
+  }
+
+  /**
+   * Register a device to track a whole competition
+   */
+  registerCompetitionDevice(competitionCode, device) {
+    if (!this.trackedCompetitions.has(competitionCode)) {
+      this.trackedCompetitions.set(competitionCode, new Set());
+      this.onTrackingChanged();
+    }
+    this.trackedCompetitions.get(competitionCode).add(device);
+    this.homey.log(`Registered device for competition ${competitionCode}, now tracking ${this.trackedCompetitions.size} competitions`);
+
+    // Start polling if this is the first device
+    if (this.getTrackedCount() === 1 && !this.pollTimer) {
+      this.startPolling();
+    }
+  }
+
+  /**
+   * Unregister a competition device
+   */
+  unregisterCompetitionDevice(competitionCode, device) {
+    const devices = this.trackedCompetitions.get(competitionCode);
+    if (devices) {
+      devices.delete(device);
+      if (devices.size === 0) {
+        this.trackedCompetitions.delete(competitionCode);
+      }
+    }
+    this.homey.log(`Unregistered device for competition ${competitionCode}, now tracking ${this.trackedCompetitions.size} competitions`);
+
+    // Stop polling if no more devices
+    if (this.getTrackedCount() === 0) {
       this.stopPolling();
     }
   }
@@ -74,12 +230,42 @@ class MatchManager extends EventEmitter {
     return Array.from(this.trackedTeams.keys());
   }
 
+  /**
+   * Get tracked teams with the names their devices were paired with
+   */
+  getTrackedTeams() {
+    return Array.from(this.trackedTeams, ([teamId, devices]) => {
+      const [device] = devices;
+      return {
+        id: teamId,
+        name: device.teamName,
+        shortName: device.teamShortName,
+        competitionCode: device.competitionCode || null,
+      };
+    });
+  }
+
+  /**
+   * Get all tracked competition codes
+   */
+  getTrackedCompetitionCodes() {
+    return Array.from(this.trackedCompetitions.keys());
+  }
+
+  /**
+   * Number of tracked teams and competitions combined
+   */
+  getTrackedCount() {
+    return this.trackedTeams.size + this.trackedCompetitions.size;
+  }
+
   /**
    * Start polling
    */
   startPolling() {
     if (this.pollTimer) return;
     this.homey.log('Starting match polling');
+    this.scheduleDailyStandingsRefresh();
     this.poll();
   }
 
@@ -91,13 +277,41 @@ class MatchManager extends EventEmitter {
       this.homey.clearTimeout(this.pollTimer);
       this.pollTimer = null;
     }
+    if (this.standingsTimer) {
+      this.homey.clearTimeout(this.standingsTimer);
+      this.standingsTimer = null;
+    }
+    for (const timer of this.standingsRefreshTimers.values()) {
+      this.homey.clearTimeout(timer);
+    }
+    this.standingsRefreshTimers.clear();
+    this.nextPollAt = null;
+    this.saveState();
     this.homey.log('Stopped match polling');
   }
 
+  /**
+   * A team or competition was added: reload fixtures, and don't sleep through its next match
+   */
+  onTrackingChanged() {
+    this.fixturesRefreshedAt = null;
+
+    // Only a long idle sleep can be far enough away to miss something
+    if (this.pollTimer && this.nextPollAt - Date.now() > POLLING_INTERVALS.IDLE) {
+      this.homey.clearTimeout(this.pollTimer);
+      this.nextPollAt = Date.now();
+      this.pollTimer = this.homey.setTimeout(() => this.poll(), 0);
+    }
+  }
+
   /**
    * Get polling interval for current state
    */
   getPollingInterval() {
+    // Paid plans allow faster live polling
+    if (this.pollingState === POLLING_STATE.LIVE) {
+      return this.api.getPlan().liveInterval;
+    }
     return POLLING_INTERVALS[this.pollingState] || POLLING_INTERVALS.IDLE;
   }
 
@@ -107,8 +321,10 @@ class MatchManager extends EventEmitter {
   determinePollingState(matches) {
     const now = new Date();
 
-    // Check for live matches (IN_PLAY)
-    const hasLiveMatch = matches.some(m => m.status === MATCH_STATUS.IN_PLAY);
+    // Check for live matches (IN_PLAY, extra time or penalties)
+    const hasLiveMatch = matches.some(m => m.status === MATCH_STATUS.IN_PLAY ||
+      m.status === MATCH_STATUS.EXTRA_TIME ||
+      m.status === MATCH_STATUS.PENALTY_SHOOTOUT);
     if (hasLiveMatch) return POLLING_STATE.LIVE;
 
     // Check for paused matches (halftime)
@@ -129,6 +345,10 @@ class MatchManager extends EventEmitter {
       return POLLING_STATE.LIVE;
     }
 
+    // Check for suspended matches (may resume, but nothing happens until they do)
+    const hasSuspendedMatch = matches.some(m => m.status === MATCH_STATUS.SUSPENDED);
+    if (hasSuspendedMatch) return POLLING_STATE.SUSPENDED;
+
     // Check for recently finished matches (within 15 min of end)
     const hasRecentlyFinished = matches.some(m => {
       if (!COMPLETED_STATUSES.includes(m.status)) return false;
@@ -143,9 +363,8 @@ class MatchManager extends EventEmitter {
     // Check for upcoming matches within 2 hours
     const hasUpcoming = matches.some(m => {
       if (!UPCOMING_STATUSES.includes(m.status)) return false;
-      const matchDate = new Date(m.utcDate);
-      const hoursUntil = (matchDate - now) / 1000 / 60 / 60;
-      return hoursUntil <= 2 && hoursUntil > 0;
+      const timeUntil = new Date(m.utcDate) - now;
+      return timeUntil <= PRE_MATCH_WINDOW && timeUntil > 0;
     });
     if (hasUpcoming) return POLLING_STATE.PRE_MATCH;
 
@@ -156,36 +375,73 @@ class MatchManager extends EventEmitter {
    * Main polling function
    */
   async poll() {
+    this.lastPollAt = Date.now();
+
     try {
       const trackedTeamIds = this.getTrackedTeamIds();
+      const trackedCompetitionCodes = this.getTrackedCompetitionCodes();
       this.homey.log(`[Poll] Starting poll for ${trackedTeamIds.length} tracked teams: ${trackedTeamIds.join(', ')}`);
+      if (trackedCompetitionCodes.length > 0) {
+        this.homey.log(`[Poll] Also tracking ${trackedCompetitionCodes.length} competitions: ${trackedCompetitionCodes.join(', ')}`);
+      }
 
-      if (trackedTeamIds.length === 0) {
+      if (this.getTrackedCount() === 0) {
         this.homey.log('[Poll] No teams to track, skipping poll');
         this.scheduleNextPoll();
         return;
       }
 
-      // Fetch today's matches (efficient: one request for all)
-      const allMatches = await this.api.getTodayMatches(
-        this.pollingState === POLLING_STATE.LIVE
-      );
-      this.homey.log(`[Poll] Fetched ${allMatches.length} matches for today`);
+      // Around matches the live request goes first: a due fixture refresh (a request per team once a day)
+      // would otherwise hold up goal detection, so it runs after the poll without being waited for
+      const isMatchTime = this.pollingState !== POLLING_STATE.IDLE;
+      if (!isMatchTime) {
+        await this.refreshFixtures();
+      }
 
-      // Filter to only tracked teams (convert to numbers for comparison since API returns numbers)
-      const trackedTeamIdsNumeric = trackedTeamIds.map(id => Number(id));
-      const relevantMatches = allMatches.filter(match =>
-        trackedTeamIdsNumeric.includes(match.homeTeam.id) ||
-        trackedTeamIdsNumeric.includes(match.awayTeam.id)
-      );
+      // Nothing live and nothing kicking off soon: don't spend a request, sleep until the next match
+      if (this.isQuiet()) {
+        this.homey.log('[Poll] No match live or coming up, skipping poll');
+        this.scheduleNextPoll();
+        return;
+      }
+
+      // Fetch matches around now (efficient: one request for all)
+      const matchWindow = this.getMatchWindow();
+      const windowMatches = await this.api.getMatches({
+        dateFrom: matchWindow.dateFrom,
+        dateTo: matchWindow.dateTo,
+        priority: this.pollingState === POLLING_STATE.LIVE ? REQUEST_PRIORITY.LIVE : REQUEST_PRIORITY.DEFAULT,
+      });
+      const allMatches = windowMatches.filter(match => this.isInMatchWindow(match, matchWindow));
+      this.lastMatchPollAt = Date.now();
+      this.homey.log(`[Poll] Fetched ${allMatches.length} matches between ${matchWindow.from.toISOString()} and ${matchWindow.to.toISOString()}`);
+
+      // Filter to only tracked teams and competitions
+      const relevantMatches = allMatches.filter(match => this.isTrackedMatch(match));
 
       this.homey.log(`[Poll] Found ${relevantMatches.length} relevant matches for tracked teams`);
       for (const match of relevantMatches) {
-        this.homey.log(`[Poll]   - ${match.homeTeam.name} vs ${match.awayTeam.name} (${match.status}) ${match.score?.fullTime?.home ?? 0}-${match.score?.fullTime?.away ?? 0}`);
+        const { home, away } = this.getMatchScore(match);
+        this.homey.log(`[Poll]   - ${match.homeTeam.name} vs ${match.awayTeam.name} (${match.status}) ${home}-${away}`);
       }
 
+      // Fetch goals, bookings and substitutions of tracked teams, if the plan includes match detail
+      await this.loadMatchDetails(relevantMatches);
+
       // Process match updates and detect events
-      this.processMatchUpdates(relevantMatches);
+      const finishedMatches = this.processMatchUpdates(relevantMatches);
+
+      // Matches that kicked off leave the fixture store, rescheduled ones get their new kickoff
+      this.emitFixtureChanges(this.fixtureStore.update(relevantMatches));
+
+      // Check whether a finished match completed a matchday in a tracked competition
+      await this.checkMatchdaysFinished(finishedMatches, relevantMatches);
+
+      // League tables change after every finished match
+      this.scheduleStandingsRefresh(finishedMatches);
+
+      // Push live match counts to competition devices
+      this.emitCompetitionUpdates(relevantMatches);
 
       // Check for "match starts soon" triggers
       this.checkMatchStartsSoon(relevantMatches);
@@ -193,6 +449,9 @@ class MatchManager extends EventEmitter {
       // Clean up old match cache entries and triggered thresholds
       this.cleanupOldMatches(relevantMatches);
 
+      // Persist what we know, so a restart continues from here
+      this.saveState();
+
       // Update polling state
       const newState = this.determinePollingState(relevantMatches);
       if (newState !== this.pollingState) {
@@ -203,13 +462,55 @@ class MatchManager extends EventEmitter {
       // Schedule next poll
       this.scheduleNextPoll();
 
+      if (isMatchTime) {
+        this.refreshFixtures();
+      }
+
     } catch (error) {
       this.homey.error('Polling error:', error.message);
       // On error, retry after 1 minute
+      this.nextPollAt = Date.now() + 60000;
       this.pollTimer = this.homey.setTimeout(() => this.poll(), 60000);
     }
   }
 
+  /**
+   * Check whether a match involves a tracked team or competition (the API returns numeric team ids)
+   */
+  isTrackedMatch(match) {
+    return this.trackedTeams.has(String(match.homeTeam.id)) ||
+      this.trackedTeams.has(String(match.awayTeam.id)) ||
+      this.trackedCompetitions.has(match.competition?.code);
+  }
+
+  /**
+   * Get the window of matches to poll: the user's local day, plus a lookback for matches still running
+   */
+  getMatchWindow(now = new Date()) {
+    const timezone = this.homey.clock.getTimezone();
+    const { start, end } = getLocalDayBounds(now, timezone);
+    const from = new Date(Math.min(start.getTime(), now.getTime() - MATCH_WINDOW_LOOKBACK));
+
+    // The API filters on UTC dates; asking one day extra makes it irrelevant whether dateTo is inclusive
+    const dateToMoment = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+
+    return {
+      from,
+      to: end,
+      dateFrom: getUtcDateString(from),
+      dateTo: getUtcDateString(dateToMoment),
+    };
+  }
+
+  /**
+   * Check whether a match belongs in the poll window (live matches always do)
+   */
+  isInMatchWindow(match, matchWindow) {
+    if (LIVE_STATUSES.includes(match.status)) return true;
+    const kickoff = new Date(match.utcDate);
+    return kickoff >= matchWindow.from && kickoff < matchWindow.to;
+  }
+
   /**
    * Schedule the next poll based on current state
    */
@@ -217,15 +518,247 @@ class MatchManager extends EventEmitter {
     if (this.pollTimer) {
       this.homey.clearTimeout(this.pollTimer);
     }
+    const delay = this.getNextPollDelay();
+    this.homey.log(`Next poll in ${Math.round(delay / 1000)}s (state: ${this.pollingState})`);
+    this.nextPollAt = Date.now() + delay;
+    this.pollTimer = this.homey.setTimeout(() => this.poll(), delay);
+  }
+
+  /**
+   * Time until the next poll: the state's interval, adjusted to the kickoff times we know about.
+   * Idle polls sleep until the next match comes near, pre-match polls wake exactly at a
+   * "starts soon" threshold or kickoff, and halftime is slept through until the second half is near.
+   */
+  getNextPollDelay(now = Date.now()) {
     const interval = this.getPollingInterval();
-    this.homey.log(`Next poll in ${interval / 1000}s (state: ${this.pollingState})`);
-    this.pollTimer = this.homey.setTimeout(() => this.poll(), interval);
+
+    switch (this.pollingState) {
+      case POLLING_STATE.IDLE: {
+        if (!this.fixtureStore.isLoaded()) return interval;
+
+        const nextKickoff = this.fixtureStore.getKickoffs().find(kickoff => kickoff > now);
+        const wakeAt = nextKickoff ? nextKickoff - PRE_MATCH_WINDOW : Infinity;
+        // The next match is already near but not in the poll window yet (e.g. after midnight)
+        if (wakeAt <= now) return interval;
+        return Math.min(wakeAt - now, IDLE_MAX_SLEEP);
+      }
+
+      case POLLING_STATE.PRE_MATCH: {
+        const moment = this.getNextKickoffMoment(now);
+        return moment ? Math.min(moment - now + KICKOFF_WAKE_MARGIN, interval) : interval;
+      }
+
+      case POLLING_STATE.PAUSED: {
+        const secondHalfNear = this.getSecondHalfWakeTime();
+        if (secondHalfNear === null) return interval;
+        return Math.max(secondHalfNear - now, this.api.getPlan().liveInterval);
+      }
+
+      default:
+        return interval;
+    }
+  }
+
+  /**
+   * Next moment a cached upcoming match reaches a "starts soon" threshold or kicks off
+   */
+  getNextKickoffMoment(now = Date.now()) {
+    let next = null;
+    for (const cached of this.matchCache.values()) {
+      if (!UPCOMING_STATUSES.includes(cached.status)) continue;
+
+      const kickoff = new Date(cached.utcDate).getTime();
+      const moments = [kickoff, ...MATCH_SOON_THRESHOLDS.map(minutes => kickoff - minutes * 60 * 1000)];
+      for (const moment of moments) {
+        if (moment > now && (next === null || moment < next)) {
+          next = moment;
+        }
+      }
+    }
+    return next;
+  }
+
+  /**
+   * When to start polling fast again during halftime, null if a break isn't a regular halftime
+   * or we don't know when it started
+   */
+  getSecondHalfWakeTime() {
+    let wakeAt = null;
+    for (const cached of this.matchCache.values()) {
+      if (cached.status !== MATCH_STATUS.PAUSED) continue;
+
+      // The break before extra time is much shorter than halftime
+      if (!cached.pausedAt || cached.events.secondHalfTriggered) return null;
+
+      const matchWakeAt = cached.pausedAt + HALFTIME_WAKE;
+      if (wakeAt === null || matchWakeAt < wakeAt) {
+        wakeAt = matchWakeAt;
+      }
+    }
+    return wakeAt;
+  }
+
+  /**
+   * Nothing is live and no kickoff of a tracked team or competition is coming up
+   */
+  isQuiet(now = Date.now()) {
+    // Always poll once after starting, a match may already be running
+    if (!this.fixtureStore.isLoaded() || !this.lastMatchPollAt) return false;
+    if (this.pollingState !== POLLING_STATE.IDLE) return false;
+
+    // Kickoffs that passed but haven't been picked up yet count as well
+    return !this.fixtureStore.getKickoffs().some(kickoff =>
+      kickoff > now - MATCH_WINDOW_LOOKBACK && kickoff <= now + PRE_MATCH_WINDOW);
+  }
+
+  /**
+   * Reload the fixture store when it is due, callers at the same time share one load
+   */
+  async refreshFixtures() {
+    if (this.fixturesRefreshedAt && Date.now() - this.fixturesRefreshedAt < FIXTURE_REFRESH_INTERVAL) return;
+
+    if (this.fixturesLoadingPromise) {
+      return this.fixturesLoadingPromise;
+    }
+
+    this.fixturesLoadingPromise = this.doRefreshFixtures();
+    try {
+      await this.fixturesLoadingPromise;
+    } finally {
+      this.fixturesLoadingPromise = null;
+    }
+  }
+
+  /**
+   * Load upcoming fixtures with one /matches request for the coming days, plus once a day
+   * a request per team for the months after, so fixtures added far ahead (cup draws) are noticed
+   */
+  async doRefreshFixtures() {
+    try {
+      const now = new Date();
+      const dateTo = getUtcDateString(new Date(now.getTime() + (FIXTURE_STORE_DAYS - 1) * 24 * 60 * 60 * 1000));
+      const matches = await this.api.getMatches({
+        status: [...UPCOMING_STATUSES, ...CALLED_OFF_STATUSES].join(','),
+        dateFrom: getUtcDateString(now),
+        dateTo,
+      });
+      const fixtures = matches.filter(match => this.isTrackedMatch(match));
+
+      // How far ahead each team's fixtures are known, so a fixture that comes into range isn't reported as new
+      const rangeEnd = new Date(`${dateTo}T00:00:00Z`).getTime();
+      const horizons = new Map();
+      const teamFixturesLoads = new Map();
+
+      for (const teamId of this.getTrackedTeamIds()) {
+        const load = await this.loadTeamFixtures(teamId, fixtures, rangeEnd);
+        horizons.set(teamId, Math.max(rangeEnd, load?.horizon || 0));
+        if (load) {
+          teamFixturesLoads.set(teamId, load);
+        }
+      }
+      this.teamFixturesLoads = teamFixturesLoads;
+
+      fixtures.push(...await this.getMissingFixtures(fixtures));
+
+      const changes = this.fixtureStore.replace(fixtures, horizons);
+      this.fixturesRefreshedAt = Date.now();
+      this.homey.log(`Loaded ${fixtures.length} upcoming fixtures`);
+
+      this.emitFixtureChanges(changes);
+    } catch (error) {
+      // Keep the fixtures we have; until the first load succeeds, polling uses fixed intervals
+      this.homey.error('Failed to load fixtures:', error.message);
+    }
+  }
+
+  /**
+   * Add a team's fixtures after the date range to the loaded fixtures: from the API once a day,
+   * in between from the store
+   * @param {Array} fixtures - Fixtures loaded so far, extended in place
+   * @param {number} rangeEnd - Start of the last day the date range request covered
+   * @returns {Promise<Object|null>} The team's long-range load, null if it never succeeded
+   */
+  async loadTeamFixtures(teamId, fixtures, rangeEnd) {
+    const listedIds = new Set(fixtures.map(match => match.id));
+    const load = this.teamFixturesLoads.get(teamId);
+
+    if (!load || Date.now() - load.loadedAt >= TEAM_FIXTURES_REFRESH_INTERVAL) {
+      try {
+        const horizon = new Date(`${this.getTeamFixturesEnd()}T00:00:00Z`).getTime();
+        const teamFixtures = await this.getTeamFixtures(teamId);
+        fixtures.push(...teamFixtures.filter(match => !listedIds.has(match.id)));
+        return { loadedAt: Date.now(), horizon };
+      } catch (error) {
+        this.homey.error(`Failed to load fixtures of team ${teamId}:`, error.message);
+        if (!load) return null;
+      }
+    }
+
+    // Keep the fixtures after the range, one on its last day that the range request didn't list is gone
+    const rangeLastKickoff = rangeEnd + 24 * 60 * 60 * 1000;
+    fixtures.push(...this.fixtureStore.getTeamFixtures(teamId).filter(match =>
+      !listedIds.has(match.id) && new Date(match.utcDate).getTime() >= rangeLastKickoff));
+    return load;
+  }
+
+  /**
+   * Look up stored fixtures that haven't kicked off but are no longer listed, they may have been called off or moved
+   * @param {Array} fixtures - The freshly loaded fixtures
+   */
+  async getMissingFixtures(fixtures) {
+    const listedIds = new Set(fixtures.map(match => match.id));
+    const missing = this.fixtureStore.getFixtures().filter(match =>
+      !listedIds.has(match.id) && this.isTrackedMatch(match) && new Date(match.utcDate).getTime() > Date.now());
+
+    const found = [];
+    for (const match of missing) {
+      try {
+        found.push(await this.api.getMatch(match.id));
+      } catch (error) {
+        this.homey.error(`Failed to look up fixture ${match.id}:`, error.message);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Report rescheduled, new and called off fixtures, then tell devices of tracked teams whose fixtures changed
+   * @param {Object} changes - From FixtureStore.replace or update
+   */
+  emitFixtureChanges(changes) {
+    for (const { match, previousKickoff } of changes.rescheduled) {
+      this.homey.log(`Kickoff changed: ${match.homeTeam.name} vs ${match.awayTeam.name} from ${previousKickoff} to ${match.utcDate}`);
+      // "Starts soon" thresholds count down to the new kickoff
+      this.matchStartsSoonTriggered.delete(match.id);
+      this.emitForTeams([match.homeTeam.id, match.awayTeam.id], EVENTS.KICKOFF_CHANGED, { match, previousKickoff });
+    }
+
+    for (const { match, teamIds } of changes.added) {
+      this.homey.log(`Fixture added: ${match.homeTeam.name} vs ${match.awayTeam.name} on ${match.utcDate}`);
+      this.emitForTeams(teamIds, EVENTS.FIXTURE_ADDED, { match });
+    }
+
+    for (const match of changes.calledOff) {
+      // Keep the match in the cache so the poll on match day doesn't report it again
+      const cached = this.matchCache.get(match.id);
+      const state = this.createMatchState(match, cached?.events);
+      this.matchCache.set(match.id, state);
+      this.emitCalledOff(match, state);
+    }
+
+    const teamIds = Array.from(changes.teamIds).filter(teamId => this.trackedTeams.has(teamId));
+    if (teamIds.length > 0) {
+      this.emit(EVENTS.FIXTURES_UPDATED, { teamIds });
+    }
   }
 
   /**
    * Process match updates and detect events
+   * @returns {Array} Matches that finished during this update
    */
   processMatchUpdates(matches) {
+    const finishedMatches = [];
+
     for (const match of matches) {
       const cached = this.matchCache.get(match.id);
 
@@ -252,6 +785,12 @@ class MatchManager extends EventEmitter {
           newState.events.halftimeTriggered = true;
         }
 
+        // Newly discovered matches can already be in extra time or a shootout
+        this.checkMatchPhase(match, newState);
+
+        // Matches can be called off before we ever saw them scheduled
+        this.emitCalledOff(match, newState);
+
         // For newly discovered matches that are already finished, emit result events
         if (match.status === MATCH_STATUS.FINISHED || match.status === MATCH_STATUS.AWARDED) {
           this.homey.log(`New match discovered already finished: ${match.homeTeam.name} vs ${match.awayTeam.name}`);
@@ -259,6 +798,8 @@ class MatchManager extends EventEmitter {
           const awayTeamId = match.awayTeam.id;
           this.emitForTeams([homeTeamId, awayTeamId], EVENTS.MATCH_FINISHED, { match });
           this.emitMatchResult(match);
+          // Competition devices are only told about matches that finish while we are watching,
+          // otherwise every restart would replay the whole day's results
           newState.events.finishedTriggered = true;
         }
         continue;
@@ -266,34 +807,52 @@ class MatchManager extends EventEmitter {
 
       // Detect status changes
       if (cached.status !== match.status) {
-        this.handleStatusChange(match, cached);
+        if (this.handleStatusChange(match, cached)) {
+          finishedMatches.push(match);
+        }
       }
 
+      // Detect extra time and penalty shootouts
+      this.checkMatchPhase(match, cached);
+
       // Detect score changes (only during live matches)
       if (LIVE_STATUSES.includes(match.status)) {
-        const currentHome = match.score?.fullTime?.home ?? 0;
-        const currentAway = match.score?.fullTime?.away ?? 0;
+        const { home: currentHome, away: currentAway } = this.getMatchScore(match);
 
         if (currentHome !== cached.homeScore || currentAway !== cached.awayScore) {
           this.handleScoreChange(match, cached, currentHome, currentAway);
         }
       }
 
-      // Update cache
-      this.matchCache.set(match.id, this.createMatchState(match, cached.events));
+      // Detect cards and substitutions (only when match detail was loaded)
+      this.checkBookingsAndSubstitutions(match, cached);
+
+      // Update cache, match detail isn't part of every update so keep the last known entries
+      const newState = this.createMatchState(match, cached.events);
+      // Remember when a break started, only if we saw it start
+      if (match.status === MATCH_STATUS.PAUSED) {
+        newState.pausedAt = cached.status === MATCH_STATUS.PAUSED ? cached.pausedAt : Date.now();
+      }
+      newState.bookingKeys = newState.bookingKeys ?? cached.bookingKeys ?? null;
+      newState.substitutionKeys = newState.substitutionKeys ?? cached.substitutionKeys ?? null;
+      this.matchCache.set(match.id, newState);
     }
+
+    return finishedMatches;
   }
 
   /**
    * Create a match state object for caching
    */
   createMatchState(match, existingEvents = null) {
+    const { home, away } = this.getMatchScore(match);
     return {
       id: match.id,
       status: match.status,
       utcDate: match.utcDate,
-      homeScore: match.score?.fullTime?.home ?? 0,
-      awayScore: match.score?.fullTime?.away ?? 0,
+      duration: match.score?.duration || MATCH_DURATION.REGULAR,
+      homeScore: home,
+      awayScore: away,
       homeTeamId: match.homeTeam.id,
       awayTeamId: match.awayTeam.id,
       homeTeamName: match.homeTeam.name,
@@ -302,18 +861,148 @@ class MatchManager extends EventEmitter {
       awayTeamShortName: match.awayTeam.shortName || match.awayTeam.name,
       minute: match.minute || 0,
       competition: match.competition?.name || '',
+      simulated: Boolean(match.simulated),
+      pausedAt: null,
+      bookingKeys: match.bookings ? match.bookings.map(booking => this.getBookingKey(booking)) : null,
+      substitutionKeys: match.substitutions
+        ? match.substitutions.map(substitution => this.getSubstitutionKey(substitution))
+        : null,
       events: existingEvents || {
         kickoffTriggered: false,
         halftimeTriggered: false,
         secondHalfTriggered: false,
         extraTimeTriggered: false,
+        penaltiesTriggered: false,
         finishedTriggered: false,
+        suspendedTriggered: false,
+        postponedTriggered: false,
+        cancelledTriggered: false,
       },
     };
   }
 
+  /**
+   * Add goals, bookings and substitutions from match detail to live matches of tracked teams
+   */
+  async loadMatchDetails(matches) {
+    if (!this.api.getPlan().matchDetail) return;
+
+    for (const match of matches) {
+      if (!this.matchCache.has(match.id) || !LIVE_STATUSES.includes(match.status)) continue;
+
+      const involvesTrackedTeam = this.trackedTeams.has(String(match.homeTeam.id)) ||
+        this.trackedTeams.has(String(match.awayTeam.id));
+      if (!involvesTrackedTeam) continue;
+
+      try {
+        const detail = await this.api.getMatch(match.id, REQUEST_PRIORITY.LIVE);
+        match.goals = detail.goals || [];
+        match.bookings = detail.bookings || [];
+        match.substitutions = detail.substitutions || [];
+      } catch (error) {
+        // Goal events still fire without scorer details, cards are picked up on the next poll
+        this.homey.error(`Failed to load match detail for ${match.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Emit events for bookings and substitutions added since the last match detail
+   */
+  checkBookingsAndSubstitutions(match, cached) {
+    const teamIds = [match.homeTeam.id, match.awayTeam.id];
+
+    const newBookings = this.getNewEntries(match.bookings, cached.bookingKeys, cached.status,
+      booking => this.getBookingKey(booking));
+    for (const booking of newBookings) {
+      const isRed = booking.card === BOOKING_CARD.RED || booking.card === BOOKING_CARD.YELLOW_RED;
+      this.homey.log(`${booking.card} card for ${booking.player?.name} (${booking.team?.name}) in minute ${booking.minute}`);
+      this.emitForTeams(teamIds, isRed ? EVENTS.RED_CARD : EVENTS.YELLOW_CARD, { match, booking });
+    }
+
+    const newSubstitutions = this.getNewEntries(match.substitutions, cached.substitutionKeys, cached.status,
+      substitution => this.getSubstitutionKey(substitution));
+    for (const substitution of newSubstitutions) {
+      this.emitForTeams(teamIds, EVENTS.SUBSTITUTION, { match, substitution });
+    }
+  }
+
+  /**
+   * Entries of a match detail list we haven't seen yet. Compared by key rather than by position,
+   * so a booking the API corrects or removes doesn't hide the next one or fire an old one again.
+   * @param {Array<string>|null} seenKeys - Keys of the entries in the last detail we had
+   * @param {Function} getKey - Key of an entry
+   */
+  getNewEntries(entries, seenKeys, previousStatus, getKey) {
+    if (!entries) return [];
+
+    // Watched since before kickoff, so everything is new. Otherwise the first detail is only a baseline.
+    if (!seenKeys) {
+      return UPCOMING_STATUSES.includes(previousStatus) ? entries : [];
+    }
+
+    const seen = new Set(seenKeys);
+    return entries.filter(entry => !seen.has(getKey(entry)));
+  }
+
+  getBookingKey(booking) {
+    return `${booking.minute}:${booking.player?.id}:${booking.card}`;
+  }
+
+  getSubstitutionKey(substitution) {
+    return `${substitution.minute}:${substitution.playerOut?.id}:${substitution.playerIn?.id}`;
+  }
+
+  /**
+   * Find the goal that brought a team's score to its new value, null without match detail
+   * @param {string} side - 'home' or 'away'
+   */
+  findGoal(match, side, newScore) {
+    // Goals are in order, the first one showing the new score for this side is the one that scored it
+    return (match.goals || []).find(goal => goal.score?.[side] === newScore[side]) || null;
+  }
+
+  /**
+   * Get the score from play (regular and extra time).
+   * fullTime includes shootout penalties, which are not goals.
+   */
+  getMatchScore(match) {
+    const penalties = match.score?.penalties;
+    return {
+      home: (match.score?.fullTime?.home ?? 0) - (penalties?.home ?? 0),
+      away: (match.score?.fullTime?.away ?? 0) - (penalties?.away ?? 0),
+    };
+  }
+
+  /**
+   * Detect the start of extra time and penalty shootouts from status and score.duration
+   */
+  checkMatchPhase(match, cached) {
+    if (!LIVE_STATUSES.includes(match.status)) return;
+
+    const homeTeamId = match.homeTeam.id;
+    const awayTeamId = match.awayTeam.id;
+    const duration = match.score?.duration;
+
+    const inExtraTime = match.status === MATCH_STATUS.EXTRA_TIME ||
+      duration === MATCH_DURATION.EXTRA_TIME;
+    const inShootout = match.status === MATCH_STATUS.PENALTY_SHOOTOUT ||
+      duration === MATCH_DURATION.PENALTY_SHOOTOUT;
+
+    if (inExtraTime && !cached.events.extraTimeTriggered) {
+      this.emitForTeams([homeTeamId, awayTeamId], EVENTS.EXTRA_TIME_STARTED, { match });
+      cached.events.extraTimeTriggered = true;
+    }
+
+    if (inShootout && !cached.events.penaltiesTriggered) {
+      this.emitForTeams([homeTeamId, awayTeamId], EVENTS.PENALTY_SHOOTOUT_STARTED, { match });
+      cached.events.penaltiesTriggered = true;
+    }
+  }
+
   /**
    * Handle match status changes
+   * @returns {boolean} True if the match just finished
    */
   handleStatusChange(match, cached) {
     const homeTeamId = match.homeTeam.id;
@@ -333,6 +1022,10 @@ class MatchManager extends EventEmitter {
             this.emitForTeams([homeTeamId, awayTeamId], EVENTS.SECOND_HALF_STARTED, { match });
             cached.events.secondHalfTriggered = true;
           }
+        } else if (cached.status === MATCH_STATUS.SUSPENDED) {
+          // Play resumed after a suspension
+          this.emitForTeams([homeTeamId, awayTeamId], EVENTS.MATCH_RESUMED, { match });
+          cached.events.suspendedTriggered = false;
         }
         break;
 
@@ -349,26 +1042,71 @@ class MatchManager extends EventEmitter {
         if (!cached.events.finishedTriggered) {
           this.emitForTeams([homeTeamId, awayTeamId], EVENTS.MATCH_FINISHED, { match });
           this.emitMatchResult(match);
+          this.emitForCompetition(match.competition?.code, EVENTS.COMPETITION_MATCH_FINISHED, { match });
           cached.events.finishedTriggered = true;
+          return true;
+        }
+        break;
+
+      case MATCH_STATUS.SUSPENDED:
+        if (!cached.events.suspendedTriggered) {
+          this.emitForTeams([homeTeamId, awayTeamId], EVENTS.MATCH_SUSPENDED, { match });
+          cached.events.suspendedTriggered = true;
         }
         break;
+
+      case MATCH_STATUS.POSTPONED:
+      case MATCH_STATUS.CANCELLED:
+        this.emitCalledOff(match, cached);
+        break;
+    }
+
+    return false;
+  }
+
+  /**
+   * Emit postponed or cancelled once per match, whether a poll or a fixture refresh sees it first
+   */
+  emitCalledOff(match, state) {
+    const teamIds = [match.homeTeam.id, match.awayTeam.id];
+
+    if (match.status === MATCH_STATUS.POSTPONED && !state.events.postponedTriggered) {
+      this.homey.log(`Match postponed: ${match.homeTeam.name} vs ${match.awayTeam.name}`);
+      this.emitForTeams(teamIds, EVENTS.MATCH_POSTPONED, { match });
+      state.events.postponedTriggered = true;
+    }
+
+    if (match.status === MATCH_STATUS.CANCELLED && !state.events.cancelledTriggered) {
+      this.homey.log(`Match cancelled: ${match.homeTeam.name} vs ${match.awayTeam.name}`);
+      this.emitForTeams(teamIds, EVENTS.MATCH_CANCELLED, { match });
+      state.events.cancelledTriggered = true;
     }
   }
 
   /**
-   * Emit win/loss/draw events based on final score
+   * Emit win/loss/draw events based on the winner reported by the API
    */
   emitMatchResult(match) {
-    const homeScore = match.score?.fullTime?.home ?? 0;
-    const awayScore = match.score?.fullTime?.away ?? 0;
     const homeTeamId = match.homeTeam.id;
     const awayTeamId = match.awayTeam.id;
+    const winner = this.getMatchWinner(match);
+
+    if (match.score?.duration === MATCH_DURATION.PENALTY_SHOOTOUT) {
+      this.emitForTeams([homeTeamId, awayTeamId], EVENTS.PENALTY_SHOOTOUT_FINISHED, {
+        match,
+        penalties: {
+          home: match.score?.penalties?.home ?? 0,
+          away: match.score?.penalties?.away ?? 0,
+        },
+        winner,
+      });
+    }
 
-    if (homeScore > awayScore) {
+    if (winner === MATCH_WINNER.HOME_TEAM) {
       // Home team won
       this.emitForTeam(homeTeamId, EVENTS.TEAM_WON, { match });
       this.emitForTeam(awayTeamId, EVENTS.TEAM_LOST, { match });
-    } else if (awayScore > homeScore) {
+    } else if (winner === MATCH_WINNER.AWAY_TEAM) {
       // Away team won
       this.emitForTeam(awayTeamId, EVENTS.TEAM_WON, { match });
       this.emitForTeam(homeTeamId, EVENTS.TEAM_LOST, { match });
@@ -378,6 +1116,18 @@ class MatchManager extends EventEmitter {
     }
   }
 
+  /**
+   * Get the match winner, falling back to the score when score.winner is missing
+   */
+  getMatchWinner(match) {
+    if (match.score?.winner) return match.score.winner;
+
+    const { home, away } = this.getMatchScore(match);
+    if (home > away) return MATCH_WINNER.HOME_TEAM;
+    if (away > home) return MATCH_WINNER.AWAY_TEAM;
+    return MATCH_WINNER.DRAW;
+  }
+
   /**
    * Handle score changes (goals)
    */
@@ -394,26 +1144,65 @@ class MatchManager extends EventEmitter {
     // Determine who scored
     if (newHome > cached.homeScore) {
       // Home team scored
+      const newScore = { home: newHome, away: newAway };
+      const goal = this.findGoal(match, 'home', newScore);
       this.emitForTeam(homeTeamId, EVENTS.TEAM_SCORED, {
         match,
-        newScore: { home: newHome, away: newAway },
+        goal,
+        newScore,
       });
       this.emitForTeam(awayTeamId, EVENTS.TEAM_CONCEDED, {
         match,
+        goal,
         scoringTeam: match.homeTeam,
-        newScore: { home: newHome, away: newAway },
+        newScore,
+      });
+      this.emitForCompetition(match.competition?.code, EVENTS.COMPETITION_GOAL, {
+        match,
+        goal,
+        scoringTeam: match.homeTeam,
+        newScore,
       });
     }
 
     if (newAway > cached.awayScore) {
       // Away team scored
+      const newScore = { home: newHome, away: newAway };
+      const goal = this.findGoal(match, 'away', newScore);
       this.emitForTeam(awayTeamId, EVENTS.TEAM_SCORED, {
         match,
-        newScore: { home: newHome, away: newAway },
+        goal,
+        newScore,
       });
       this.emitForTeam(homeTeamId, EVENTS.TEAM_CONCEDED, {
         match,
+        goal,
+        scoringTeam: match.awayTeam,
+        newScore,
+      });
+      this.emitForCompetition(match.competition?.code, EVENTS.COMPETITION_GOAL, {
+        match,
+        goal,
         scoringTeam: match.awayTeam,
+        newScore,
+      });
+    }
+
+    // A lower score means a goal was taken back (e.g. overturned by VAR)
+    if (newHome < cached.homeScore) {
+      this.homey.log(`Goal disallowed for ${match.homeTeam.name}: ${cached.homeScore}-${cached.awayScore} -> ${newHome}-${newAway}`);
+      this.emitForTeams([homeTeamId, awayTeamId], EVENTS.GOAL_DISALLOWED, {
+        match,
+        disallowedTeam: match.homeTeam,
+        newScore: { home: newHome, away: newAway },
+      });
+    }
+
+    if (newAway < cached.awayScore) {
+      this.homey.log(`Goal disallowed for ${match.awayTeam.name}: ${cached.homeScore}-${cached.awayScore} -> ${newHome}-${newAway}`);
+      this.emitForTeams([homeTeamId, awayTeamId], EVENTS.GOAL_DISALLOWED, {
+        match,
+        disallowedTeam: match.awayTeam,
         newScore: { home: newHome, away: newAway },
       });
     }
@@ -492,6 +1281,70 @@ class MatchManager extends EventEmitter {
     }
   }
 
+  /**
+   * Emit "matchday finished" when the last match of a matchday in a tracked competition ends
+   */
+  async checkMatchdaysFinished(finishedMatches, currentMatches) {
+    const candidates = new Map(); // "CODE:season:matchday" -> { competitionCode, matchday, competition }
+
+    for (const match of finishedMatches) {
+      const competitionCode = match.competition?.code;
+      if (!competitionCode || !match.matchday) continue;
+      if (!this.trackedCompetitions.has(competitionCode)) continue;
+
+      // Matchday numbers repeat every season
+      const key = `${competitionCode}:${match.season?.id || ''}:${match.matchday}`;
+      if (this.matchdayFinishedTriggered.has(key)) continue;
+
+      // Only worth checking once none of today's matches of this matchday are still to be played
+      const stillOpen = currentMatches.some(m =>
+        m.competition?.code === competitionCode &&
+        m.matchday === match.matchday &&
+        (LIVE_STATUSES.includes(m.status) || UPCOMING_STATUSES.includes(m.status))
+      );
+      if (stillOpen) continue;
+
+      candidates.set(key, { competitionCode, matchday: match.matchday, competition: match.competition });
+    }
+
+    for (const [key, { competitionCode, matchday, competition }] of candidates) {
+      try {
+        // Matchdays can span several days, so confirm with the full matchday schedule,
+        // fresh because a cached one would still list the matches that just finished as live
+        this.api.invalidateCompetitionMatches(competitionCode);
+        const matchdayMatches = await this.api.getCompetitionMatches(competitionCode, { matchday });
+        const remaining = matchdayMatches.filter(m =>
+          LIVE_STATUSES.includes(m.status) || UPCOMING_STATUSES.includes(m.status)
+        );
+        this.homey.log(`[Poll] Matchday ${matchday} of ${competitionCode}: ${remaining.length} matches remaining`);
+
+        if (remaining.length === 0) {
+          this.matchdayFinishedTriggered.set(key, Date.now());
+          this.emitForCompetition(competitionCode, EVENTS.COMPETITION_MATCHDAY_FINISHED, {
+            competition,
+            matchday,
+            matches: matchdayMatches,
+          });
+        }
+      } catch (error) {
+        this.homey.error(`Failed to check matchday ${matchday} of ${competitionCode}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Emit the current number of live matches for each tracked competition
+   */
+  emitCompetitionUpdates(matches) {
+    for (const competitionCode of this.trackedCompetitions.keys()) {
+      const competitionMatches = matches.filter(m => m.competition?.code === competitionCode);
+      this.emitForCompetition(competitionCode, EVENTS.COMPETITION_UPDATED, {
+        liveMatches: competitionMatches.filter(m => LIVE_STATUSES.includes(m.status)).length,
+        matchesToday: competitionMatches.length,
+      });
+    }
+  }
+
   /**
    * Clean up old match data from caches
    */
@@ -505,10 +1358,10 @@ class MatchManager extends EventEmitter {
       }
     }
 
-    // Clean up matchCache for finished matches older than 2 hours
+    // Clean up matchCache for finished or called off matches older than 2 hours
     const twoHoursAgo = Date.now() - 2 * 60 * 60 * 1000;
     for (const [matchId, cached] of this.matchCache) {
-      if (COMPLETED_STATUSES.includes(cached.status)) {
+      if (COMPLETED_STATUSES.includes(cached.status) || INTERRUPTED_STATUSES.includes(cached.status)) {
         const matchDate = new Date(cached.utcDate);
         // Assume match is ~2 hours after kickoff
         const estimatedEnd = matchDate.getTime() + 2 * 60 * 60 * 1000;
@@ -517,6 +1370,228 @@ class MatchManager extends EventEmitter {
         }
       }
     }
+
+    // Finished matchdays only need remembering until the next one is played
+    const minTriggeredAt = Date.now() - MATCHDAY_STATE_MAX_AGE;
+    for (const [key, triggeredAt] of this.matchdayFinishedTriggered) {
+      if (triggeredAt < minTriggeredAt) {
+        this.matchdayFinishedTriggered.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get a team's recent form and current streaks from its finished matches
+   * @param {Object} [latestMatch] - A match that just finished, which the API may not list yet
+   * @returns {Promise<{form: string, winStreak: number, unbeatenRun: number, lastMatch: Object|null}>}
+   */
+  async getTeamForm(teamId, latestMatch = null) {
+    if (latestMatch) {
+      this.api.invalidateTeamMatches(teamId);
+    }
+
+    const now = new Date();
+    const matches = await this.api.getTeamMatches(teamId, {
+      status: MATCH_STATUS.FINISHED,
+      dateFrom: getUtcDateString(new Date(now.getTime() - FORM_LOOKBACK)),
+      dateTo: getUtcDateString(now),
+    });
+
+    if (latestMatch && !matches.some(match => match.id === latestMatch.id)) {
+      matches.push(latestMatch);
+    }
+
+    // Most recent first
+    matches.sort((a, b) => new Date(b.utcDate) - new Date(a.utcDate));
+
+    const numericTeamId = Number(teamId);
+    const results = matches.map(match => {
+      const isHome = match.homeTeam.id === numericTeamId;
+      const { home, away } = this.getMatchScore(match);
+      // Score from play, so a penalty shootout counts as a draw like in league form tables
+      const teamGoals = isHome ? home : away;
+      const opponentGoals = isHome ? away : home;
+      if (teamGoals > opponentGoals) return 'W';
+      if (teamGoals < opponentGoals) return 'L';
+      return 'D';
+    });
+
+    const winStreak = results.findIndex(result => result !== 'W');
+    const unbeatenRun = results.findIndex(result => result === 'L');
+
+    return {
+      // Oldest first, as form is usually read
+      form: results.slice(0, FORM_LENGTH).reverse().join(''),
+      winStreak: winStreak === -1 ? results.length : winStreak,
+      unbeatenRun: unbeatenRun === -1 ? results.length : unbeatenRun,
+      lastMatch: matches[0] || null,
+    };
+  }
+
+  /**
+   * Get a team's record against the opponent of its next match
+   * @returns {Promise<Object|null>} null if there is no upcoming match
+   */
+  async getTeamHeadToHead(teamId) {
+    const nextMatch = await this.getTeamNextMatch(teamId);
+    if (!nextMatch) return null;
+
+    const numericTeamId = Number(teamId);
+    const isHome = nextMatch.homeTeam.id === numericTeamId;
+    const opponent = isHome ? nextMatch.awayTeam : nextMatch.homeTeam;
+
+    const { matches } = await this.api.getHead2Head(nextMatch.id);
+    const played = matches
+      .filter(match => COMPLETED_STATUSES.includes(match.status))
+      .sort((a, b) => new Date(b.utcDate) - new Date(a.utcDate));
+
+    const record = {
+      match: nextMatch,
+      opponent,
+      matches: played.length,
+      wins: 0,
+      draws: 0,
+      losses: 0,
+      goalsFor: 0,
+      goalsAgainst: 0,
+      lastMatch: played[0] || null,
+    };
+
+    for (const match of played) {
+      const wasHome = match.homeTeam.id === numericTeamId;
+      const { home, away } = this.getMatchScore(match);
+      record.goalsFor += wasHome ? home : away;
+      record.goalsAgainst += wasHome ? away : home;
+
+      const winner = this.getMatchWinner(match);
+      if (winner === MATCH_WINNER.DRAW) {
+        record.draws++;
+      } else if ((winner === MATCH_WINNER.HOME_TEAM) === wasHome) {
+        record.wins++;
+      } else {
+        record.losses++;
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Polling state and schedule, as exposed by the Web API
+   */
+  getPollingStatus() {
+    return {
+      state: this.pollingState,
+      interval: this.getPollingInterval(),
+      active: this.pollTimer !== null,
+      lastPollAt: this.lastPollAt ? new Date(this.lastPollAt).toISOString() : null,
+      nextPollAt: this.nextPollAt ? new Date(this.nextPollAt).toISOString() : null,
+      nextKickoff: this.getNextKickoff(),
+      trackedTeams: this.trackedTeams.size,
+      trackedCompetitions: this.trackedCompetitions.size,
+    };
+  }
+
+  getNextKickoff(now = Date.now()) {
+    const kickoff = this.fixtureStore.getKickoffs().find(time => time > now);
+    return kickoff ? new Date(kickoff).toISOString() : null;
+  }
+
+  /**
+   * Cached matches that are live right now
+   */
+  getLiveMatches() {
+    return Array.from(this.matchCache.values())
+      .filter(cached => LIVE_STATUSES.includes(cached.status));
+  }
+
+  /**
+   * Matches kicking off on the local day, as cached match states
+   */
+  getTodayMatches() {
+    return this.getTodayMatchStates()
+      .sort((a, b) => new Date(a.utcDate) - new Date(b.utcDate));
+  }
+
+  /**
+   * Cached matches of the local day, plus stored fixtures of the day that polls haven't fetched yet
+   * (polling stays quiet until shortly before kickoff)
+   */
+  getTodayMatchStates() {
+    const timezone = this.homey.clock.getTimezone();
+    const today = getLocalDateString(new Date(), timezone);
+    const isToday = utcDate => getLocalDateString(new Date(utcDate), timezone) === today;
+
+    const states = Array.from(this.matchCache.values()).filter(cached => isToday(cached.utcDate));
+    for (const match of this.fixtureStore.getFixtures()) {
+      if (isToday(match.utcDate) && !this.matchCache.has(match.id)) {
+        states.push(this.createMatchState(match));
+      }
+    }
+    return states;
+  }
+
+  /**
+   * Summary of a cached match state, as exposed by the Web API
+   */
+  toMatchSummary(cached) {
+    return {
+      id: cached.id,
+      status: cached.status,
+      utcDate: cached.utcDate,
+      minute: cached.minute || 0,
+      competition: cached.competition || '',
+      homeTeam: {
+        id: cached.homeTeamId,
+        name: cached.homeTeamName,
+        shortName: cached.homeTeamShortName,
+      },
+      awayTeam: {
+        id: cached.awayTeamId,
+        name: cached.awayTeamName,
+        shortName: cached.awayTeamShortName,
+      },
+      score: {
+        home: cached.homeScore ?? 0,
+        away: cached.awayScore ?? 0,
+      },
+      simulated: Boolean(cached.simulated),
+    };
+  }
+
+  /**
+   * Summary of an upcoming fixture from getTrackedFixtures, as exposed by the Web API
+   */
+  toFixtureSummary({ match, team }) {
+    const isHome = match.homeTeam.id === Number(team.id);
+    return {
+      id: match.id,
+      status: match.status,
+      utcDate: match.utcDate,
+      competition: match.competition?.name || '',
+      competitionCode: match.competition?.code || null,
+      matchday: match.matchday || null,
+      homeTeam: {
+        id: match.homeTeam.id,
+        name: match.homeTeam.name,
+        shortName: match.homeTeam.shortName || match.homeTeam.name,
+      },
+      awayTeam: {
+        id: match.awayTeam.id,
+        name: match.awayTeam.name,
+        shortName: match.awayTeam.shortName || match.awayTeam.name,
+      },
+      teamId: team.id,
+      venue: isHome ? 'home' : 'away',
+    };
+  }
+
+  /**
+   * Drop a match from the cache, e.g. when a simulation ends
+   */
+  forgetMatch(matchId) {
+    this.matchCache.delete(matchId);
+    this.matchStartsSoonTriggered.delete(matchId);
   }
 
   /**
@@ -527,6 +1602,7 @@ class MatchManager extends EventEmitter {
     const teamIdStr = String(teamId);
     if (this.trackedTeams.has(teamIdStr)) {
       this.emit(eventName, { ...data, teamId });
+      this.eventHistory.add(eventName, { ...data, teamId });
     }
   }
 
@@ -539,6 +1615,191 @@ class MatchManager extends EventEmitter {
     }
   }
 
+  /**
+   * Schedule a standings refresh for competitions in which a tracked team just finished a match
+   */
+  scheduleStandingsRefresh(finishedMatches) {
+    const competitionCodes = new Set();
+    for (const match of finishedMatches) {
+      const involvesTrackedTeam = this.trackedTeams.has(String(match.homeTeam.id)) ||
+        this.trackedTeams.has(String(match.awayTeam.id));
+      if (involvesTrackedTeam && match.competition?.code) {
+        competitionCodes.add(match.competition.code);
+      }
+    }
+
+    for (const competitionCode of competitionCodes) {
+      // Matches finishing close together share one refresh
+      if (this.standingsRefreshTimers.has(competitionCode)) {
+        this.homey.clearTimeout(this.standingsRefreshTimers.get(competitionCode));
+      }
+
+      this.homey.log(`Refreshing ${competitionCode} standings and scorers in ${STANDINGS_REFRESH_DELAY / 1000}s`);
+      this.standingsRefreshTimers.set(competitionCode, this.homey.setTimeout(() => {
+        this.standingsRefreshTimers.delete(competitionCode);
+        this.refreshStandings(competitionCode);
+        this.refreshScorers(competitionCode);
+      }, STANDINGS_REFRESH_DELAY));
+    }
+  }
+
+  /**
+   * Refresh the tables of tracked teams' competitions after every local day. Other teams' results
+   * move the league position too, also on days the tracked team doesn't play.
+   */
+  scheduleDailyStandingsRefresh() {
+    if (this.standingsTimer) {
+      this.homey.clearTimeout(this.standingsTimer);
+    }
+
+    const { end } = getLocalDayBounds(new Date(), this.homey.clock.getTimezone());
+    const delay = end.getTime() - Date.now() + STANDINGS_REFRESH_DELAY;
+
+    this.standingsTimer = this.homey.setTimeout(() => {
+      this.standingsTimer = null;
+      const competitionCodes = new Set(this.getTrackedTeams()
+        .map(team => team.competitionCode)
+        .filter(Boolean));
+
+      for (const competitionCode of competitionCodes) {
+        this.homey.log(`Daily refresh of ${competitionCode} standings and scorers`);
+        this.refreshStandings(competitionCode);
+        this.refreshScorers(competitionCode);
+      }
+
+      this.scheduleDailyStandingsRefresh();
+    }, delay);
+  }
+
+  /**
+   * Fetch a fresh league table and push the new rows to tracked teams
+   */
+  async refreshStandings(competitionCode) {
+    try {
+      this.api.invalidateStandings(competitionCode);
+      const standings = await this.api.getStandings(competitionCode);
+
+      for (const teamId of this.getTrackedTeamIds()) {
+        const standing = this.findTeamStanding(standings, teamId);
+        if (standing) {
+          this.emitForTeam(teamId, EVENTS.STANDINGS_UPDATED, { competitionCode, standing });
+        }
+      }
+    } catch (error) {
+      this.homey.error(`Failed to refresh standings for ${competitionCode}:`, error.message);
+    }
+  }
+
+  /**
+   * Get a competition's scorer list, keeping the first one seen as baseline for scorer events
+   */
+  async getCompetitionScorers(competitionCode) {
+    const scorers = await this.api.getScorers(competitionCode);
+    if (!this.scorerSnapshots.has(competitionCode)) {
+      this.scorerSnapshots.set(competitionCode, this.createScorerSnapshot(scorers));
+    }
+    return scorers;
+  }
+
+  /**
+   * Fetch a fresh scorer list and report milestones and new top scorers of tracked teams
+   */
+  async refreshScorers(competitionCode) {
+    try {
+      const previous = this.scorerSnapshots.get(competitionCode);
+      this.api.invalidateScorers(competitionCode);
+      const scorers = await this.api.getScorers(competitionCode);
+      this.scorerSnapshots.set(competitionCode, this.createScorerSnapshot(scorers));
+
+      // Without a baseline every player would pass every milestone at once
+      if (previous) {
+        this.emitScorerChanges(competitionCode, previous, scorers);
+      }
+    } catch (error) {
+      this.homey.error(`Failed to refresh scorers for ${competitionCode}:`, error.message);
+    }
+  }
+
+  createScorerSnapshot(scorers) {
+    return {
+      goals: new Map(scorers.map(scorer => [scorer.player.id, scorer.goals || 0])),
+      leaders: new Set(this.getTopScorers(scorers).map(scorer => scorer.player.id)),
+      // A full page means players below the cut-off may have goals too
+      complete: scorers.length < SCORERS_LIMIT,
+    };
+  }
+
+  /**
+   * Get the players sharing the most goals
+   */
+  getTopScorers(scorers) {
+    const topGoals = Math.max(0, ...scorers.map(scorer => scorer.goals || 0));
+    return topGoals > 0 ? scorers.filter(scorer => scorer.goals === topGoals) : [];
+  }
+
+  emitScorerChanges(competitionCode, previous, scorers) {
+    const leaders = this.getTopScorers(scorers);
+
+    for (const scorer of scorers) {
+      const teamId = scorer.team?.id;
+      if (!this.trackedTeams.has(String(teamId))) continue;
+
+      const goals = scorer.goals || 0;
+      const previousGoals = previous.goals.get(scorer.player.id) ?? (previous.complete ? 0 : null);
+
+      if (previousGoals !== null && goals > previousGoals) {
+        this.homey.log(`${scorer.player.name} now has ${goals} goals in ${competitionCode}`);
+        this.emitForTeam(teamId, EVENTS.SCORER_GOALS_CHANGED, { competitionCode, scorer, previousGoals, goals });
+      }
+
+      if (leaders.includes(scorer) && !previous.leaders.has(scorer.player.id)) {
+        this.homey.log(`${scorer.player.name} is top scorer of ${competitionCode}`);
+        this.emitForTeam(teamId, EVENTS.PLAYER_TOP_SCORER, { competitionCode, scorer, goals });
+      }
+    }
+  }
+
+  /**
+   * Get a team's row in a competition's league table
+   */
+  async getTeamStanding(teamId, competitionCode) {
+    const standings = await this.api.getStandings(competitionCode);
+    return this.findTeamStanding(standings, teamId);
+  }
+
+  /**
+   * Find a team's row in the TOTAL tables (cups have one per group)
+   */
+  findTeamStanding(standings, teamId) {
+    const numericTeamId = Number(teamId);
+    for (const standing of standings) {
+      if (standing.type !== 'TOTAL') continue;
+      const row = (standing.table || []).find(r => r.team?.id === numericTeamId);
+      if (row) {
+        return {
+          position: row.position,
+          points: row.points,
+          goalDifference: row.goalDifference,
+          goalsFor: row.goalsFor,
+          goalsAgainst: row.goalsAgainst,
+          playedGames: row.playedGames,
+          group: standing.group || null,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Emit event for a tracked competition
+   */
+  emitForCompetition(competitionCode, eventName, data) {
+    if (competitionCode && this.trackedCompetitions.has(competitionCode)) {
+      this.emit(eventName, { ...data, competitionCode });
+      this.eventHistory.add(eventName, { ...data, competitionCode });
+    }
+  }
+
   /**
    * Get current live match for a team
    */
@@ -555,11 +1816,13 @@ class MatchManager extends EventEmitter {
   }
 
   /**
-   * Get today's match for a team
+   * Get today's match for a team (today in the user's timezone, postponed and cancelled matches excluded)
    */
   getTeamMatchToday(teamId) {
     const numericTeamId = Number(teamId);
-    for (const [matchId, cached] of this.matchCache) {
+
+    for (const cached of this.getTodayMatchStates()) {
+      if (cached.status === MATCH_STATUS.POSTPONED || cached.status === MATCH_STATUS.CANCELLED) continue;
       if (cached.homeTeamId === numericTeamId || cached.awayTeamId === numericTeamId) {
         return cached;
       }
@@ -568,32 +1831,116 @@ class MatchManager extends EventEmitter {
   }
 
   /**
-   * Fetch next scheduled match for a team (may require API call)
+   * Fetch upcoming scheduled matches for a team, soonest first (may require API call)
    */
-  async getTeamNextMatch(teamId) {
+  async getTeamFixtures(teamId) {
     const today = new Date().toISOString().split('T')[0];
-    // dateTo required by API - set to 6 months from now
-    const futureDate = new Date();
-    futureDate.setMonth(futureDate.getMonth() + 6);
-    const dateTo = futureDate.toISOString().split('T')[0];
+    const dateTo = this.getTeamFixturesEnd();
 
-    this.homey.log(`getTeamNextMatch: teamId=${teamId}, dateFrom=${today}, dateTo=${dateTo}`);
+    this.homey.log(`getTeamFixtures: teamId=${teamId}, dateFrom=${today}, dateTo=${dateTo}`);
 
     const matches = await this.api.getTeamMatches(teamId, {
-      status: 'SCHEDULED,TIMED',
+      status: UPCOMING_STATUSES.join(','),
       dateFrom: today,
       dateTo: dateTo,
     });
 
-    this.homey.log(`getTeamNextMatch: got ${matches.length} matches for team ${teamId}`);
-    if (matches.length > 0) {
-      this.homey.log(`First match: ${matches[0].homeTeam?.name} vs ${matches[0].awayTeam?.name} on ${matches[0].utcDate}`);
-    }
+    this.homey.log(`getTeamFixtures: got ${matches.length} matches for team ${teamId}`);
 
-    // Sort by date ascending to get the next match
+    // Sort by date ascending, next match first
     matches.sort((a, b) => new Date(a.utcDate) - new Date(b.utcDate));
 
-    return matches[0] || null;
+    return matches;
+  }
+
+  /**
+   * Last day (UTC date string) getTeamFixtures loads, dateTo is required by the API - 6 months from now
+   */
+  getTeamFixturesEnd() {
+    const futureDate = new Date();
+    futureDate.setMonth(futureDate.getMonth() + 6);
+    return futureDate.toISOString().split('T')[0];
+  }
+
+  /**
+   * Upcoming fixtures of all tracked teams, or one of them, each with the tracked team it belongs to
+   *
+   * Read from the fixture store; only teams whose fixtures the store holds no further ahead
+   * than its date range need a request of their own.
+   * @returns {Promise<Array<{match: Object, team: Object}>>} soonest first, a match between two tracked teams once
+   */
+  async getTrackedFixtures(teamId = null) {
+    const teams = this.getTrackedTeams().filter(team => !teamId || team.id === String(teamId));
+    if (teamId && teams.length === 0) {
+      throw new Error(`Team ${teamId} is not tracked`);
+    }
+
+    await this.refreshFixtures();
+    const rangeEnd = Date.now() + FIXTURE_STORE_DAYS * 24 * 60 * 60 * 1000;
+
+    const fixtures = new Map();
+    for (const team of teams) {
+      const matches = this.fixtureStore.getHorizon(team.id) > rangeEnd
+        ? this.fixtureStore.getTeamFixtures(team.id)
+        : await this.getTeamFixtures(team.id);
+      for (const match of matches) {
+        if (!fixtures.has(match.id)) {
+          fixtures.set(match.id, { match, team });
+        }
+      }
+    }
+
+    return Array.from(fixtures.values())
+      .sort((a, b) => new Date(a.match.utcDate) - new Date(b.match.utcDate));
+  }
+
+  /**
+   * Fixtures for the calendar feed: upcoming ones plus matches played in the last days,
+   * so an event doesn't disappear from the calendar at kickoff
+   * @returns {Promise<Array<{match: Object, team: Object}>>} by kickoff
+   */
+  async getCalendarFixtures(teamId = null) {
+    const fixtures = await this.getTrackedFixtures(teamId);
+    const teams = this.getTrackedTeams().filter(team => !teamId || team.id === String(teamId));
+    const recentMatches = await this.getRecentMatches();
+
+    const listedIds = new Set(fixtures.map(({ match }) => match.id));
+    for (const match of recentMatches) {
+      if (listedIds.has(match.id)) continue;
+
+      const team = teams.find(({ id }) => Number(id) === match.homeTeam.id || Number(id) === match.awayTeam.id);
+      if (team) {
+        fixtures.push({ match, team });
+      }
+    }
+
+    return fixtures.sort((a, b) => new Date(a.match.utcDate) - new Date(b.match.utcDate));
+  }
+
+  /**
+   * Matches of the last days, reused for a while so calendar apps refreshing the feed
+   * don't use up the requests polling needs (/matches isn't cached)
+   */
+  async getRecentMatches() {
+    if (this.recentMatches && Date.now() - this.recentMatches.loadedAt < CALENDAR_RECENT_TTL) {
+      return this.recentMatches.matches;
+    }
+
+    const now = new Date();
+    const matches = await this.api.getMatches({
+      dateFrom: getUtcDateString(new Date(now.getTime() - CALENDAR_PAST_DAYS * 24 * 60 * 60 * 1000)),
+      dateTo: getUtcDateString(now),
+    });
+    this.recentMatches = { loadedAt: Date.now(), matches };
+    return matches;
+  }
+
+  /**
+   * Next scheduled match for a team, from the fixture store
+   */
+  async getTeamNextMatch(teamId) {
+    await this.refreshFixtures();
+    return this.fixtureStore.getTeamNextMatch(teamId);
   }
 }
 
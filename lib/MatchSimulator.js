@@ -0,0 +1,238 @@
+'use strict';
+
+const {
+  MATCH_STATUS,
+  MATCH_DURATION,
+  MATCH_WINNER,
+  SIMULATION_DEFAULT_SPEED,
+  SIMULATION_MIN_STEP_DELAY,
+  SIMULATION_CLEANUP_DELAY,
+} = require('./constants');
+
+/**
+ * Scripted match: kickoff, goals, a goal reversed by VAR, halftime and the final whistle.
+ * elapsed is minutes since the start of the simulation (halftime included), minute is the match clock.
+ * Scores are home-away, the simulated team plays at home.
+ */
+const DEFAULT_TIMELINE = [
+  { elapsed: 0, status: MATCH_STATUS.TIMED, minute: 0, home: 0, away: 0 },
+  { elapsed: 1, status: MATCH_STATUS.IN_PLAY, minute: 1, home: 0, away: 0 },
+  { elapsed: 13, status: MATCH_STATUS.IN_PLAY, minute: 12, home: 1, away: 0 },
+  { elapsed: 31, status: MATCH_STATUS.IN_PLAY, minute: 30, home: 1, away: 1 },
+  { elapsed: 39, status: MATCH_STATUS.IN_PLAY, minute: 38, home: 2, away: 1 },
+  { elapsed: 42, status: MATCH_STATUS.IN_PLAY, minute: 41, home: 1, away: 1 }, // VAR: goal disallowed
+  { elapsed: 47, status: MATCH_STATUS.PAUSED, minute: 45, home: 1, away: 1 },
+  { elapsed: 62, status: MATCH_STATUS.IN_PLAY, minute: 46, home: 1, away: 1 },
+  { elapsed: 80, status: MATCH_STATUS.IN_PLAY, minute: 64, home: 2, away: 1 },
+  { elapsed: 98, status: MATCH_STATUS.IN_PLAY, minute: 82, home: 2, away: 2 },
+  { elapsed: 104, status: MATCH_STATUS.IN_PLAY, minute: 88, home: 3, away: 2 },
+  { elapsed: 109, status: MATCH_STATUS.FINISHED, minute: 90, home: 3, away: 2 },
+];
+
+const SIMULATED_OPPONENT = {
+  id: -1,
+  name: 'Simulation FC',
+  shortName: 'Simulation',
+  tla: 'SIM',
+};
+
+/**
+ * Replays a match timeline through MatchManager, so devices fire their real triggers without a live match.
+ *
+ * Each timeline step is turned into an API-shaped match object and passed to
+ * MatchManager.processMatchUpdates, exactly like a poll result. No requests are made.
+ */
+class MatchSimulator {
+  constructor(matchManager, homey) {
+    this.matchManager = matchManager;
+    this.homey = homey;
+
+    this.match = null;
+    this.timeline = [];
+    this.stepIndex = 0;
+    this.speed = SIMULATION_DEFAULT_SPEED;
+    this.timer = null;
+  }
+
+  /**
+   * Start a simulation for a team
+   * @param {Object} options
+   * @param {number|string} options.teamId - Tracked team playing the simulated match (at home)
+   * @param {number} [options.speed] - Simulated minutes per real minute
+   * @param {Array} [options.timeline] - Recorded steps { elapsed, status, minute, home, away, duration }
+   */
+  start({ teamId, speed, timeline } = {}) {
+    if (!teamId) {
+      throw new Error('No team selected for the simulation');
+    }
+
+    // Events are only delivered to devices of tracked teams
+    const team = this.matchManager.getTrackedTeams().find(t => t.id === String(teamId));
+    if (!team) {
+      throw new Error(`Team ${teamId} has no device to simulate a match for`);
+    }
+
+    const steps = timeline || DEFAULT_TIMELINE;
+    this.validateTimeline(steps);
+
+    // One simulation at a time
+    this.stop();
+
+    this.timeline = steps;
+    this.stepIndex = 0;
+    this.speed = Number(speed) > 0 ? Number(speed) : SIMULATION_DEFAULT_SPEED;
+
+    const startedAt = Date.now();
+    // Kickoff is the first IN_PLAY step, so "probably live" checks line up with the timeline
+    const kickoffStep = steps.find(step => step.status === MATCH_STATUS.IN_PLAY) || steps[0];
+
+    this.match = {
+      id: -startedAt, // negative ids never collide with API matches
+      simulated: true,
+      utcDate: new Date(startedAt + this.getDelay(steps[0], kickoffStep)).toISOString(),
+      status: steps[0].status,
+      minute: 0,
+      matchday: 1,
+      stage: 'REGULAR_SEASON',
+      competition: { id: -1, code: 'SIM', name: 'Simulation' },
+      homeTeam: {
+        id: Number(teamId),
+        name: team.name,
+        shortName: team.shortName,
+      },
+      awayTeam: { ...SIMULATED_OPPONENT },
+      score: {
+        winner: null,
+        duration: MATCH_DURATION.REGULAR,
+        fullTime: { home: null, away: null },
+        halfTime: { home: null, away: null },
+      },
+    };
+
+    this.homey.log(`Simulation started for ${this.match.homeTeam.name} (${steps.length} steps, ${this.speed}x)`);
+    this.runStep();
+
+    return this.getStatus();
+  }
+
+  /**
+   * Stop the running simulation and forget the simulated match
+   */
+  stop() {
+    if (this.timer) {
+      this.homey.clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.match) {
+      this.matchManager.forgetMatch(this.match.id);
+      this.homey.log('Simulation stopped');
+    }
+
+    this.match = null;
+    this.timeline = [];
+    this.stepIndex = 0;
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  getStatus() {
+    const step = this.timeline[this.stepIndex - 1] || null;
+    return {
+      running: this.isRunning(),
+      speed: this.speed,
+      step: this.stepIndex,
+      steps: this.timeline.length,
+      matchId: this.match?.id || null,
+      team: this.match?.homeTeam.name || null,
+      status: step?.status || null,
+      minute: step?.minute || 0,
+      score: step ? `${step.home}-${step.away}` : null,
+    };
+  }
+
+  validateTimeline(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('Simulation timeline is empty');
+    }
+
+    for (const step of steps) {
+      if (!Object.values(MATCH_STATUS).includes(step.status)) {
+        throw new Error(`Invalid status in simulation timeline: ${step.status}`);
+      }
+      if (!Number.isFinite(step.elapsed) || !Number.isFinite(step.home) || !Number.isFinite(step.away)) {
+        throw new Error('Simulation steps need numeric elapsed, home and away values');
+      }
+    }
+  }
+
+  /**
+   * Real milliseconds between two steps at the current speed
+   */
+  getDelay(fromStep, toStep) {
+    const minutes = Math.max(toStep.elapsed - fromStep.elapsed, 0);
+    return Math.max((minutes * 60 * 1000) / this.speed, SIMULATION_MIN_STEP_DELAY);
+  }
+
+  /**
+   * Apply the next step and schedule the one after it
+   */
+  runStep() {
+    const step = this.timeline[this.stepIndex];
+    this.stepIndex++;
+
+    this.applyStep(step);
+
+    try {
+      this.matchManager.processMatchUpdates([this.buildSnapshot()]);
+    } catch (error) {
+      this.homey.error('Simulation step failed:', error.message);
+    }
+
+    const nextStep = this.timeline[this.stepIndex];
+    if (!nextStep) {
+      // Leave the final state visible for a moment, then remove the match so it doesn't count as today's match
+      this.homey.log('Simulation finished');
+      this.timer = this.homey.setTimeout(() => this.stop(), SIMULATION_CLEANUP_DELAY);
+      return;
+    }
+
+    this.timer = this.homey.setTimeout(() => this.runStep(), this.getDelay(step, nextStep));
+  }
+
+  applyStep(step) {
+    const { match } = this;
+    match.status = step.status;
+    match.minute = step.minute || 0;
+    match.lastUpdated = new Date().toISOString();
+    match.score.duration = step.duration || MATCH_DURATION.REGULAR;
+
+    const started = step.status !== MATCH_STATUS.TIMED && step.status !== MATCH_STATUS.SCHEDULED;
+    match.score.fullTime = started ? { home: step.home, away: step.away } : { home: null, away: null };
+
+    if (step.status === MATCH_STATUS.PAUSED && match.score.halfTime.home === null) {
+      match.score.halfTime = { home: step.home, away: step.away };
+    }
+
+    if (step.status === MATCH_STATUS.FINISHED) {
+      match.score.winner = this.getWinner(step);
+    }
+  }
+
+  getWinner(step) {
+    if (step.home > step.away) return MATCH_WINNER.HOME_TEAM;
+    if (step.away > step.home) return MATCH_WINNER.AWAY_TEAM;
+    return MATCH_WINNER.DRAW;
+  }
+
+  /**
+   * Copy of the match, so MatchManager never holds on to the object we keep changing
+   */
+  buildSnapshot() {
+    return JSON.parse(JSON.stringify(this.match));
+  }
+}
+
+module.exports = MatchSimulator;
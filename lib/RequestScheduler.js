@@ -0,0 +1,231 @@
+'use strict';
+
+const {
+  PLANS,
+  DEFAULT_PLAN,
+  RATE_LIMIT_BUFFER,
+  RATE_LIMIT_WINDOW,
+  REQUEST_PRIORITY,
+  REQUEST_MAX_RETRIES,
+} = require('./constants');
+
+/**
+ * Runs API requests one at a time, ordered by priority, within the quota the API reports.
+ *
+ * Tasks are async functions resolving to { status, headers, ... }. The scheduler reads the
+ * quota headers from every result and retries a task when the API answers 429.
+ */
+class RequestScheduler {
+  constructor(homey, limit = PLANS[DEFAULT_PLAN].rateLimit) {
+    this.homey = homey;
+    this.limit = limit;
+    this.available = limit; // requests left in the current window
+    this.resetAt = 0; // timestamp the current window ends, 0 if no window is running
+    this.usedInWindow = 0; // requests we made in the current window
+    this.detectedLimit = null; // per-minute limit derived from the quota headers
+    this.queue = []; // entries sorted by priority, then arrival
+    this.pending = new Map(); // key -> entry, for merging identical requests
+    this.sequence = 0;
+    this.processing = false;
+  }
+
+  /**
+   * Change the per-minute limit (e.g. when the plan changes)
+   */
+  setLimit(limit) {
+    this.available += limit - this.limit;
+    this.limit = limit;
+  }
+
+  /**
+   * Queue a task. Identical requests (same key) that are queued or running share one result.
+   * @param {string} key - Identifies the request, e.g. the path
+   * @param {number} priority - One of REQUEST_PRIORITY, lower runs first
+   * @param {Function} task - Async function performing the request
+   */
+  schedule(key, priority, task) {
+    const existing = this.pending.get(key);
+    if (existing) {
+      // Merge, and let the merged request run as early as its most urgent caller needs
+      if (priority < existing.priority && this.queue.includes(existing)) {
+        existing.priority = priority;
+        this.sortQueue();
+      }
+      return existing.promise;
+    }
+
+    const entry = {
+      key,
+      priority,
+      task,
+      sequence: this.sequence++,
+      attempts: 0,
+    };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.pending.set(key, entry);
+    this.queue.push(entry);
+    this.sortQueue();
+    this.processQueue();
+
+    return entry.promise;
+  }
+
+  /**
+   * Usage of the current rate-limit window, for diagnostics
+   */
+  getStats() {
+    // A window that has ended but hasn't been reset yet counts as unused
+    const windowActive = this.resetAt > Date.now();
+    return {
+      limit: this.limit,
+      detectedLimit: this.detectedLimit,
+      usedInWindow: windowActive ? this.usedInWindow : 0,
+      available: windowActive ? this.available : this.limit,
+      resetAt: windowActive ? new Date(this.resetAt).toISOString() : null,
+      queued: this.queue.length,
+    };
+  }
+
+  sortQueue() {
+    this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+  }
+
+  /**
+   * Work through the queue, waiting for the quota to reset when needed
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const waitTime = this.getWaitTime(this.queue[0].priority);
+        if (waitTime > 0) {
+          this.homey.log(`Rate limit reached, waiting ${waitTime}ms (${this.queue.length} queued)`);
+          await this.sleep(waitTime);
+          // Re-check the head of the queue, a more urgent request may have arrived
+          continue;
+        }
+
+        const entry = this.queue.shift();
+        await this.run(entry);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Milliseconds to wait before a request of this priority may run
+   */
+  getWaitTime(priority) {
+    const now = Date.now();
+    if (this.resetAt && now >= this.resetAt) {
+      this.available = this.limit;
+      this.resetAt = 0;
+      this.usedInWindow = 0;
+    }
+
+    // Only live requests may use the reserved buffer
+    const reserve = priority === REQUEST_PRIORITY.LIVE ? 0 : RATE_LIMIT_BUFFER;
+    if (this.available > reserve) return 0;
+
+    return Math.max(this.resetAt - now, 0) + 100;
+  }
+
+  /**
+   * Run a single task and settle its promise, or requeue it after a 429
+   */
+  async run(entry) {
+    if (!this.resetAt) {
+      this.resetAt = Date.now() + RATE_LIMIT_WINDOW;
+    }
+    this.available = Math.max(this.available - 1, 0);
+    this.usedInWindow++;
+    entry.attempts++;
+
+    let result;
+    try {
+      result = await entry.task();
+    } catch (error) {
+      this.settle(entry, error);
+      return;
+    }
+
+    this.updateFromHeaders(result.headers);
+
+    if (result.status === 429) {
+      const retryAfter = this.getRetryAfter(result);
+      this.available = 0;
+      this.resetAt = Date.now() + retryAfter;
+
+      if (entry.attempts <= REQUEST_MAX_RETRIES) {
+        this.homey.log(`Rate limited by API, retrying ${entry.key} in ${retryAfter}ms`);
+        this.queue.push(entry);
+        this.sortQueue();
+        return;
+      }
+    }
+
+    this.settle(entry, null, result);
+  }
+
+  settle(entry, error, result) {
+    this.pending.delete(entry.key);
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  }
+
+  /**
+   * Read the quota the API reports: requests left and seconds until the counter resets
+   */
+  updateFromHeaders(headers) {
+    if (!headers) return;
+
+    const available = Number.parseInt(headers.get('X-Requests-Available-Minute'), 10);
+    const resetSeconds = Number.parseInt(headers.get('X-RequestCounter-Reset'), 10);
+
+    if (!Number.isNaN(available)) {
+      this.available = available;
+
+      // Right after the first request of a window, the header shows the full limit minus one
+      if (this.usedInWindow === 1) {
+        this.detectedLimit = available + 1;
+      }
+    }
+    if (!Number.isNaN(resetSeconds)) {
+      this.resetAt = Date.now() + resetSeconds * 1000;
+    }
+  }
+
+  /**
+   * How long to back off after a 429, from the reset header or the error message
+   */
+  getRetryAfter(result) {
+    const resetSeconds = Number.parseInt(result.headers?.get('X-RequestCounter-Reset'), 10);
+    if (!Number.isNaN(resetSeconds)) {
+      return resetSeconds * 1000 + 100;
+    }
+
+    // e.g. "You reached your request limit. Wait 23 seconds."
+    const match = /Wait (\d+) seconds/i.exec(result.body || '');
+    if (match) {
+      return Number(match[1]) * 1000 + 100;
+    }
+
+    return RATE_LIMIT_WINDOW;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RequestScheduler;
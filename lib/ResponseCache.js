@@ -0,0 +1,119 @@
+'use strict';
+
+const { CACHE_TTL, CACHE_MAX_STALE } = require('./constants');
+
+/**
+ * In-memory cache of API responses with a time-to-live per endpoint.
+ *
+ * Entries keep the ETag/Last-Modified validators of the response, so expired entries can be
+ * revalidated, and are kept for a while after expiring so they can be served when the API is down.
+ */
+class ResponseCache {
+  constructor() {
+    this.entries = new Map(); // path -> { data, etag, lastModified, expiry }
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      revalidated: 0,
+      stale: 0,
+    };
+  }
+
+  /**
+   * Time-to-live for a path in milliseconds, 0 if it should not be cached
+   */
+  getTtl(path) {
+    const rule = CACHE_TTL.find(r => r.pattern.test(path));
+    return rule ? rule.ttl : 0;
+  }
+
+  get(path) {
+    return this.entries.get(path) || null;
+  }
+
+  isFresh(entry) {
+    return Date.now() < entry.expiry;
+  }
+
+  /**
+   * Headers to make a request conditional on the cached entry
+   */
+  getValidators(entry) {
+    const headers = {};
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  set(path, data, headers, ttl) {
+    this.prune();
+    this.entries.set(path, {
+      data,
+      etag: headers?.get('ETag') || null,
+      lastModified: headers?.get('Last-Modified') || null,
+      expiry: Date.now() + ttl,
+    });
+  }
+
+  /**
+   * Extend an entry after the API confirmed it is unchanged (304)
+   */
+  refresh(path, headers, ttl) {
+    const entry = this.entries.get(path);
+    if (!entry) return;
+    entry.etag = headers?.get('ETag') || entry.etag;
+    entry.lastModified = headers?.get('Last-Modified') || entry.lastModified;
+    entry.expiry = Date.now() + ttl;
+  }
+
+  /**
+   * Remove entries whose path starts with a prefix
+   */
+  invalidate(prefix) {
+    for (const path of this.entries.keys()) {
+      if (path.startsWith(prefix)) {
+        this.entries.delete(path);
+      }
+    }
+  }
+
+  /**
+   * Drop entries that expired too long ago to be useful as stale fallback
+   */
+  prune() {
+    const minExpiry = Date.now() - CACHE_MAX_STALE;
+    for (const [path, entry] of this.entries) {
+      if (entry.expiry < minExpiry) {
+        this.entries.delete(path);
+      }
+    }
+  }
+
+  recordHit() {
+    this.stats.hits++;
+  }
+
+  recordMiss() {
+    this.stats.misses++;
+  }
+
+  recordRevalidated() {
+    this.stats.revalidated++;
+  }
+
+  recordStale() {
+    this.stats.stale++;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses + this.stats.revalidated + this.stats.stale;
+    const served = this.stats.hits + this.stats.revalidated + this.stats.stale;
+    return {
+      entries: this.entries.size,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((served / lookups) * 100) / 100 : 0,
+    };
+  }
+}
+
+module.exports = ResponseCache;
@@ -2,8 +2,65 @@
 
 // API Configuration
 const API_BASE_URL = 'https://api.football-data.org/v4';
-const RATE_LIMIT = 10; // requests per minute (free tier)
 const RATE_LIMIT_BUFFER = 2; // reserve for high-priority requests
+const RATE_LIMIT_WINDOW = 60 * 1000; // the API counts requests per minute
+const REQUEST_MAX_RETRIES = 2; // retries after a 429 before giving up
+const STANDINGS_REFRESH_DELAY = 5 * 60 * 1000; // give the API time to process a final whistle
+const HEAD2HEAD_LIMIT = 10; // previous meetings to include in head-to-head records
+const SCORERS_LIMIT = 50; // players to fetch from a competition's scorer list
+const FORM_LENGTH = 5; // results shown in the form string
+const FORM_LOOKBACK = 365 * 24 * 60 * 60 * 1000; // finished matches to count streaks over
+const CALENDAR_EVENT_DURATION = 2 * 60 * 60 * 1000; // length of a fixture in the calendar feed
+const CALENDAR_PAST_DAYS = 7; // played matches kept in the calendar feed, one request covers at most 10 days
+const CALENDAR_RECENT_TTL = 30 * 60 * 1000; // how long the played matches in the calendar feed are reused
+const CALENDAR_PORT = 8470; // default local port the calendar feed is served on
+const CALENDAR_TOKEN_SETTING = 'calendarToken';
+const EVENT_HISTORY_LIMIT = 100; // emitted events kept in the event history
+const EVENT_HISTORY_SETTING = 'eventHistory';
+const COUNTDOWN_INTERVAL = 60 * 1000; // how often devices update the minutes until their next match
+
+// football-data.org plans: requests per minute, highest competition tier included,
+// live polling interval and whether match detail (goals, bookings) is available
+const PLANS = {
+  free: { id: 'free', name: 'Free', rateLimit: 10, tier: 1, liveInterval: 30 * 1000, matchDetail: false },
+  livescores: { id: 'livescores', name: 'Free + Livescores', rateLimit: 20, tier: 1, liveInterval: 20 * 1000, matchDetail: false },
+  standard: { id: 'standard', name: 'Standard', rateLimit: 60, tier: 2, liveInterval: 15 * 1000, matchDetail: true },
+  advanced: { id: 'advanced', name: 'Advanced', rateLimit: 100, tier: 3, liveInterval: 10 * 1000, matchDetail: true },
+  pro: { id: 'pro', name: 'Pro', rateLimit: 120, tier: 4, liveInterval: 10 * 1000, matchDetail: true },
+};
+const DEFAULT_PLAN = 'free';
+const PLAN_AUTO = 'auto'; // detect the plan from the quota headers
+
+// Competition plan values from API (competition.plan)
+const COMPETITION_TIERS = {
+  TIER_ONE: 1,
+  TIER_TWO: 2,
+  TIER_THREE: 3,
+  TIER_FOUR: 4,
+};
+
+// Response cache time-to-live per endpoint (first match wins, unlisted paths are not cached)
+const CACHE_TTL = [
+  { pattern: /^\/competitions$/, ttl: 24 * 60 * 60 * 1000 },
+  { pattern: /^\/competitions\/[^/]+\/teams/, ttl: 24 * 60 * 60 * 1000 },
+  { pattern: /^\/competitions\/[^/]+\/standings/, ttl: 6 * 60 * 60 * 1000 }, // invalidated after finished matches
+  { pattern: /^\/competitions\/[^/]+\/scorers/, ttl: 6 * 60 * 60 * 1000 }, // invalidated after finished matches
+  { pattern: /^\/competitions\/[^/]+\/matches/, ttl: 5 * 60 * 1000 },
+  { pattern: /^\/teams\/\d+\/matches\?.*status=IN_PLAY/, ttl: 0 }, // live state checks
+  { pattern: /^\/teams\/\d+\/matches/, ttl: 30 * 60 * 1000 },
+  { pattern: /^\/teams/, ttl: 24 * 60 * 60 * 1000 },
+  { pattern: /^\/matches\/\d+\/head2head/, ttl: 12 * 60 * 60 * 1000 }, // only changes when the teams meet
+  // /matches is what live polling uses, it is never cached
+];
+const CACHE_MAX_STALE = 24 * 60 * 60 * 1000; // how long expired responses are kept as fallback
+
+// Request priorities, lower runs first
+const REQUEST_PRIORITY = {
+  LIVE: 0,       // polls during live matches
+  DEFAULT: 1,    // other polls, devices and flow cards
+  PAIRING: 2,    // pairing screens
+  BACKGROUND: 3, // team cache
+};
 
 // Match Status Values from API
 const MATCH_STATUS = {
@@ -11,6 +68,8 @@ const MATCH_STATUS = {
   TIMED: 'TIMED',
   IN_PLAY: 'IN_PLAY',
   PAUSED: 'PAUSED',
+  EXTRA_TIME: 'EXTRA_TIME',
+  PENALTY_SHOOTOUT: 'PENALTY_SHOOTOUT',
   FINISHED: 'FINISHED',
   SUSPENDED: 'SUSPENDED',
   POSTPONED: 'POSTPONED',
@@ -19,9 +78,39 @@ const MATCH_STATUS = {
 };
 
 // Status groupings
-const LIVE_STATUSES = ['IN_PLAY', 'PAUSED'];
+const LIVE_STATUSES = ['IN_PLAY', 'PAUSED', 'EXTRA_TIME', 'PENALTY_SHOOTOUT'];
 const UPCOMING_STATUSES = ['SCHEDULED', 'TIMED'];
 const COMPLETED_STATUSES = ['FINISHED', 'AWARDED'];
+const INTERRUPTED_STATUSES = ['SUSPENDED', 'POSTPONED', 'CANCELLED'];
+const CALLED_OFF_STATUSES = ['POSTPONED', 'CANCELLED'];
+
+// Match duration values from API (score.duration)
+const MATCH_DURATION = {
+  REGULAR: 'REGULAR',
+  EXTRA_TIME: 'EXTRA_TIME',
+  PENALTY_SHOOTOUT: 'PENALTY_SHOOTOUT',
+};
+
+// Match winner values from API (score.winner)
+const MATCH_WINNER = {
+  HOME_TEAM: 'HOME_TEAM',
+  AWAY_TEAM: 'AWAY_TEAM',
+  DRAW: 'DRAW',
+};
+
+// Goal types in match detail (goals[].type)
+const GOAL_TYPE = {
+  REGULAR: 'REGULAR',
+  PENALTY: 'PENALTY',
+  OWN: 'OWN',
+};
+
+// Cards in match detail (bookings[].card)
+const BOOKING_CARD = {
+  YELLOW: 'YELLOW',
+  YELLOW_RED: 'YELLOW_RED', // second yellow
+  RED: 'RED',
+};
 
 // Device capability status mapping
 const DEVICE_MATCH_STATUS = {
@@ -30,15 +119,19 @@ const DEVICE_MATCH_STATUS = {
   LIVE: 'live',
   HALFTIME: 'halftime',
   FINISHED: 'finished',
+  SUSPENDED: 'suspended',
+  POSTPONED: 'postponed',
+  CANCELLED: 'cancelled',
 };
 
 // Polling intervals in milliseconds
 const POLLING_INTERVALS = {
-  IDLE: 15 * 60 * 1000,      // 15 minutes - no matches soon
+  IDLE: 15 * 60 * 1000,      // 15 minutes - no matches soon, upcoming kickoffs unknown
   PRE_MATCH: 5 * 60 * 1000,  // 5 minutes - match within 2 hours
-  LIVE: 30 * 1000,           // 30 seconds - match in play
+  LIVE: 30 * 1000,           // 30 seconds - match in play (the plan's liveInterval is used instead)
   PAUSED: 2 * 60 * 1000,     // 2 minutes - halftime
   POST_MATCH: 5 * 60 * 1000, // 5 minutes - match ended within 15 min
+  SUSPENDED: 5 * 60 * 1000,  // 5 minutes - match suspended, may resume
 };
 
 // Polling states
@@ -48,54 +141,143 @@ const POLLING_STATE = {
   LIVE: 'LIVE',
   PAUSED: 'PAUSED',
   POST_MATCH: 'POST_MATCH',
+  SUSPENDED: 'SUSPENDED',
 };
 
-// Free tier competitions
-const FREE_TIER_COMPETITIONS = [
-  { code: 'PL', name: 'Premier League', country: 'England' },
-  { code: 'BL1', name: 'Bundesliga', country: 'Germany' },
-  { code: 'SA', name: 'Serie A', country: 'Italy' },
-  { code: 'PD', name: 'La Liga', country: 'Spain' },
-  { code: 'FL1', name: 'Ligue 1', country: 'France' },
-  { code: 'DED', name: 'Eredivisie', country: 'Netherlands' },
-  { code: 'PPL', name: 'Primeira Liga', country: 'Portugal' },
-  { code: 'ELC', name: 'Championship', country: 'England' },
-  { code: 'CL', name: 'Champions League', country: 'Europe' },
-  { code: 'EC', name: 'European Championship', country: 'Europe' },
-  { code: 'WC', name: 'World Cup', country: 'International' },
-];
+// Fixture-aware poll scheduling
+const PRE_MATCH_WINDOW = 2 * 60 * 60 * 1000; // polling starts this long before a kickoff
+const IDLE_MAX_SLEEP = 60 * 60 * 1000; // longest sleep between polls when no match is coming up
+const FIXTURE_REFRESH_INTERVAL = 6 * 60 * 60 * 1000; // how often the fixture store is reloaded
+const FIXTURE_STORE_DAYS = 10; // days loaded into the fixture store, the most /matches accepts in one request
+const TEAM_FIXTURES_REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // how often each team's fixtures beyond those days are reloaded
+const KICKOFF_WAKE_MARGIN = 1000; // wake just after a kickoff or threshold, not just before it
+const HALFTIME_WAKE = 13 * 60 * 1000; // halftime lasts 15 minutes, poll fast again after 13
+
+// Persisted MatchManager state (survives app restarts)
+const MATCH_STATE_SETTING = 'matchState';
+const MATCH_STATE_MAX_AGE = 24 * 60 * 60 * 1000; // ignore matches that kicked off more than a day ago
+const MATCHDAY_STATE_MAX_AGE = 60 * 24 * 60 * 60 * 1000; // forget finished matchdays after two months
+
+// How far back the poll window reaches, so matches running past local midnight stay in view
+const MATCH_WINDOW_LOOKBACK = 4 * 60 * 60 * 1000;
 
 // Match starts soon thresholds (in minutes)
 const MATCH_SOON_THRESHOLDS = [15, 30, 60, 120];
 
+// Match simulation
+const SIMULATION_DEFAULT_SPEED = 60; // simulated minutes per real minute
+const SIMULATION_MIN_STEP_DELAY = 1000;
+const SIMULATION_CLEANUP_DELAY = 60 * 1000; // keep the finished match around briefly
+
 // Event names emitted by MatchManager
 const EVENTS = {
   TEAM_SCORED: 'team_scored',
   TEAM_CONCEDED: 'team_conceded',
+  GOAL_DISALLOWED: 'goal_disallowed',
+  RED_CARD: 'red_card',
+  YELLOW_CARD: 'yellow_card',
+  SUBSTITUTION: 'substitution',
   MATCH_KICKOFF: 'match_kickoff',
   HALFTIME_STARTED: 'halftime_started',
   SECOND_HALF_STARTED: 'second_half_started',
   EXTRA_TIME_STARTED: 'extra_time_started',
+  PENALTY_SHOOTOUT_STARTED: 'penalty_shootout_started',
+  PENALTY_SHOOTOUT_FINISHED: 'penalty_shootout_finished',
   MATCH_FINISHED: 'match_finished',
+  MATCH_SUSPENDED: 'match_suspended',
+  MATCH_RESUMED: 'match_resumed',
+  MATCH_POSTPONED: 'match_postponed',
+  MATCH_CANCELLED: 'match_cancelled',
   TEAM_WON: 'team_won',
   TEAM_LOST: 'team_lost',
   TEAM_DREW: 'team_drew',
   MATCH_STARTS_SOON: 'match_starts_soon',
   MATCH_RESULT_CHANGED: 'match_result_changed',
+  COMPETITION_GOAL: 'competition_goal',
+  COMPETITION_MATCH_FINISHED: 'competition_match_finished',
+  COMPETITION_MATCHDAY_FINISHED: 'competition_matchday_finished',
+  COMPETITION_UPDATED: 'competition_updated',
+  STANDINGS_UPDATED: 'standings_updated',
+  SCORER_GOALS_CHANGED: 'scorer_goals_changed',
+  PLAYER_TOP_SCORER: 'player_top_scorer',
+  FIXTURES_UPDATED: 'fixtures_updated',
+  KICKOFF_CHANGED: 'kickoff_changed',
+  FIXTURE_ADDED: 'fixture_added',
 };
 
+// Events kept in the event history: what happened in a tracked team's match, not the
+// table and fixture updates that come with every poll
+const EVENT_HISTORY_EVENTS = [
+  EVENTS.MATCH_KICKOFF,
+  EVENTS.TEAM_SCORED,
+  EVENTS.TEAM_CONCEDED,
+  EVENTS.GOAL_DISALLOWED,
+  EVENTS.YELLOW_CARD,
+  EVENTS.RED_CARD,
+  EVENTS.SUBSTITUTION,
+  EVENTS.HALFTIME_STARTED,
+  EVENTS.SECOND_HALF_STARTED,
+  EVENTS.MATCH_FINISHED,
+  EVENTS.TEAM_WON,
+  EVENTS.TEAM_LOST,
+  EVENTS.TEAM_DREW,
+  EVENTS.MATCH_POSTPONED,
+  EVENTS.MATCH_CANCELLED,
+];
+
 module.exports = {
   API_BASE_URL,
-  RATE_LIMIT,
   RATE_LIMIT_BUFFER,
+  RATE_LIMIT_WINDOW,
+  REQUEST_MAX_RETRIES,
+  REQUEST_PRIORITY,
+  PLANS,
+  DEFAULT_PLAN,
+  PLAN_AUTO,
+  COMPETITION_TIERS,
+  CACHE_TTL,
+  CACHE_MAX_STALE,
+  STANDINGS_REFRESH_DELAY,
+  HEAD2HEAD_LIMIT,
+  SCORERS_LIMIT,
+  FORM_LENGTH,
+  FORM_LOOKBACK,
+  CALENDAR_EVENT_DURATION,
+  CALENDAR_PAST_DAYS,
+  CALENDAR_RECENT_TTL,
+  CALENDAR_PORT,
+  CALENDAR_TOKEN_SETTING,
+  EVENT_HISTORY_LIMIT,
+  EVENT_HISTORY_SETTING,
+  COUNTDOWN_INTERVAL,
   MATCH_STATUS,
   LIVE_STATUSES,
   UPCOMING_STATUSES,
   COMPLETED_STATUSES,
+  INTERRUPTED_STATUSES,
+  CALLED_OFF_STATUSES,
+  MATCH_DURATION,
+  MATCH_WINNER,
+  GOAL_TYPE,
+  BOOKING_CARD,
   DEVICE_MATCH_STATUS,
   POLLING_INTERVALS,
   POLLING_STATE,
-  FREE_TIER_COMPETITIONS,
+  PRE_MATCH_WINDOW,
+  IDLE_MAX_SLEEP,
+  FIXTURE_REFRESH_INTERVAL,
+  FIXTURE_STORE_DAYS,
+  TEAM_FIXTURES_REFRESH_INTERVAL,
+  KICKOFF_WAKE_MARGIN,
+  HALFTIME_WAKE,
+  MATCH_STATE_SETTING,
+  MATCH_STATE_MAX_AGE,
+  MATCHDAY_STATE_MAX_AGE,
+  MATCH_WINDOW_LOOKBACK,
   MATCH_SOON_THRESHOLDS,
+  SIMULATION_DEFAULT_SPEED,
+  SIMULATION_MIN_STEP_DELAY,
+  SIMULATION_CLEANUP_DELAY,
   EVENTS,
+  EVENT_HISTORY_EVENTS,
 };
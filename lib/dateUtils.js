@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Get the date (YYYY-MM-DD) of a moment as seen in a timezone
+ */
+function getLocalDateString(date, timezone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Get the UTC date (YYYY-MM-DD) of a moment, as used by the API date filters
+ */
+function getUtcDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the offset of a timezone from UTC at a given moment, in milliseconds
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const values = {};
+  for (const part of parts) {
+    values[part.type] = Number(part.value);
+  }
+
+  const localAsUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return localAsUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Get the start of the local day (midnight in the timezone) as a Date
+ */
+function getLocalMidnight(year, month, day, timezone) {
+  const midnightAsUtc = Date.UTC(year, month - 1, day);
+  // Correct twice so a DST change between UTC and local midnight is handled
+  const guess = midnightAsUtc - getTimezoneOffset(new Date(midnightAsUtc), timezone);
+  return new Date(midnightAsUtc - getTimezoneOffset(new Date(guess), timezone));
+}
+
+/**
+ * Get the start and end of the local day that contains a moment
+ * @returns {{ start: Date, end: Date }} end is the start of the next local day
+ */
+function getLocalDayBounds(date, timezone) {
+  const [year, month, day] = getLocalDateString(date, timezone).split('-').map(Number);
+  return {
+    start: getLocalMidnight(year, month, day, timezone),
+    end: getLocalMidnight(year, month, day + 1, timezone),
+  };
+}
+
+module.exports = {
+  getLocalDateString,
+  getUtcDateString,
+  getTimezoneOffset,
+  getLocalDayBounds,
+};